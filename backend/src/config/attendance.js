@@ -0,0 +1,21 @@
+// Absence rules. A student who reaches `unjustified` unjustified absences,
+// or `total` absences including excused ones, in the sessions of one type
+// of a module is excluded from them. Courses may set their own thresholds,
+// see Course.absenceThresholds; lectures have none by default.
+
+const MAX_UNJUSTIFIED_ABSENCES = parseInt(process.env.ABSENCE_MAX_UNJUSTIFIED, 10) || 3;
+const MAX_TOTAL_ABSENCES = parseInt(process.env.ABSENCE_MAX_TOTAL, 10) || 5;
+
+const DEFAULT_ABSENCE_THRESHOLDS = [
+  { sessionType: 'TD', unjustified: MAX_UNJUSTIFIED_ABSENCES, total: MAX_TOTAL_ABSENCES },
+  { sessionType: 'TP', unjustified: MAX_UNJUSTIFIED_ABSENCES, total: MAX_TOTAL_ABSENCES }
+];
+
+// Stages of an absence standing, in order. Students are warned one absence
+// before the exclusion.
+const ABSENCE_STAGES = ['ok', 'warning', 'excluded'];
+
+module.exports = {
+  DEFAULT_ABSENCE_THRESHOLDS,
+  ABSENCE_STAGES
+};
@@ -23,6 +23,26 @@ const upload = multer({
   fileFilter
 });
 
+const SPREADSHEET_MIME_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Imported data files are parsed in memory and never sent to Cloudinary
+const spreadsheetUpload = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+    }
+  }
+});
+
 const uploadToCloudinary = (fileBuffer, folder = 'usthb-portal') => {
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
@@ -49,6 +69,7 @@ const deleteFromCloudinary = async (publicId) => {
 module.exports = {
   cloudinary,
   upload,
+  spreadsheetUpload,
   uploadToCloudinary,
   deleteFromCloudinary
 };
\ No newline at end of file
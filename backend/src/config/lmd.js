@@ -0,0 +1,47 @@
+// LMD deliberation rules (arrêté n° 712 du 3 novembre 2011). Marks are out
+// of 20 and every average at or above PASS_MARK acquires its credits.
+
+const TEACHING_UNIT_TYPES = {
+  UEF: 'Unité d\'enseignement fondamentale',
+  UEM: 'Unité d\'enseignement méthodologique',
+  UED: 'Unité d\'enseignement de découverte',
+  UET: 'Unité d\'enseignement transversale'
+};
+
+const PASS_MARK = 10;
+
+// Minimum credits of the year to progress with debts (admis avec dettes)
+const MIN_CREDITS_WITH_DEBTS = parseInt(process.env.LMD_MIN_CREDITS_WITH_DEBTS, 10) || 30;
+
+// Levels of each cycle, in order. The last level of a cycle cannot be
+// passed with debts.
+const CYCLES = {
+  licence: ['L1', 'L2', 'L3'],
+  master: ['M1', 'M2']
+};
+
+// How a make-up (rattrapage) score enters the module grade:
+//   max     - the exam component keeps the better of both sessions
+//   replace - the make-up score replaces the exam component
+//   cap_10  - as max, but the make-up cannot lift the module above the pass
+//             mark (the normal session grade is kept if higher)
+const MAKEUP_RULES = ['max', 'replace', 'cap_10'];
+
+const DEFAULT_MAKEUP_RULE = MAKEUP_RULES.includes(process.env.LMD_MAKEUP_RULE) ? process.env.LMD_MAKEUP_RULE : 'max';
+
+const DECISIONS = {
+  admis: 'Admis',
+  admis_avec_dettes: 'Admis avec dettes',
+  ajourne: 'Ajourné',
+  pending: 'En attente des notes'
+};
+
+module.exports = {
+  TEACHING_UNIT_TYPES,
+  PASS_MARK,
+  MIN_CREDITS_WITH_DEBTS,
+  CYCLES,
+  MAKEUP_RULES,
+  DEFAULT_MAKEUP_RULE,
+  DECISIONS
+};
@@ -0,0 +1,125 @@
+// Declarative permission table.
+//
+// Base roles (User.role) map each permission to the rule that grants it:
+//   'any'              - granted everywhere
+//   '<ownership rule>' - granted on resources the user owns (see OWNERSHIP_RULES
+//                        in utils/permissionService.js)
+//
+// Scoped roles are not stored on the user: admins assign them through
+// RoleAssignment with a scope (course, department, faculty, club or global)
+// and they grant their permissions only inside that scope.
+
+const COMMON_PERMISSIONS = {
+  'club:create': 'any',
+  'club:update': 'club_president',
+  'club:delete': 'club_president',
+  'club:manage_members': 'club_president',
+  'club:manage_events': 'club_officer',
+  'announcement:update': 'author',
+  'announcement:delete': 'author'
+};
+
+const ROLE_PERMISSIONS = {
+  student: {
+    ...COMMON_PERMISSIONS,
+    'course:enroll': 'any'
+  },
+  professor: {
+    ...COMMON_PERMISSIONS,
+    'course:create': 'any',
+    'course:update': 'course_professor',
+    'course:delete': 'course_professor',
+    'course:manage_materials': 'course_staff',
+    'course:view_roster': 'course_staff',
+    'grade:read': 'course_staff',
+    'grade:write': 'course_staff',
+    'grade:delete': 'course_professor',
+    'grade:manage_session': 'course_professor',
+    'grade:review_appeal': 'course_professor',
+    'attendance:read': 'course_staff',
+    'attendance:write': 'course_staff',
+    'attendance:delete': 'course_professor',
+    'attendance:review_justification': 'course_staff',
+    'exam:create': 'course_professor',
+    'exam:update': 'course_professor',
+    'exam:delete': 'course_professor',
+    'exam:publish': 'course_professor',
+    'announcement:create': 'any',
+    'announcement:create_course': 'course_professor'
+  },
+  // Admins are granted every permission
+  admin: '*'
+};
+
+const SCOPED_ROLES = {
+  teaching_assistant: {
+    description: 'Assists a course: materials, attendance and grade entry',
+    scopes: ['course'],
+    permissions: [
+      'course:manage_materials',
+      'course:view_roster',
+      'grade:read',
+      'grade:write',
+      'attendance:read',
+      'attendance:write'
+    ]
+  },
+  department_head: {
+    description: 'Manages every course and grade of a department',
+    scopes: ['department', 'faculty'],
+    permissions: [
+      'course:update',
+      'course:delete',
+      'course:manage_materials',
+      'course:view_roster',
+      'grade:read',
+      'grade:write',
+      'grade:delete',
+      'grade:manage_session',
+      'grade:approve',
+      'grade:review_appeal',
+      'attendance:read',
+      'attendance:write',
+      'attendance:delete',
+      'attendance:review_justification',
+      'exam:create',
+      'exam:update',
+      'exam:delete',
+      'exam:publish',
+      'announcement:create',
+      'announcement:create_course',
+      'announcement:update',
+      'announcement:delete'
+    ]
+  },
+  scolarite: {
+    description: 'Student records office: attendance follow-up and absence justifications',
+    scopes: ['department', 'faculty'],
+    permissions: [
+      'course:view_roster',
+      'attendance:read',
+      'attendance:review_justification'
+    ]
+  },
+  club_officer: {
+    description: 'Manages the details and events of a club',
+    scopes: ['club'],
+    permissions: [
+      'club:update',
+      'club:manage_events'
+    ]
+  }
+};
+
+const SCOPE_TYPES = ['global', 'faculty', 'department', 'course', 'club'];
+
+// Permissions still granted on archived course offerings, which are
+// read-only for everyone but admins
+const ARCHIVE_PERMISSIONS = ['course:view_roster', 'grade:read', 'attendance:read'];
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  SCOPED_ROLES,
+  SCOPE_TYPES,
+  ARCHIVE_PERMISSIONS
+};
@@ -1,5 +1,6 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { verifyAccessToken } from '../utils/tokenService.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
 
 exports.protect = async (req, res, next) => {
   let token;
@@ -13,12 +14,27 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
+    const verified = await verifyAccessToken(token);
+    if (!verified) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    req.user = await User.findById(verified.userId).select('-password');
     
     if (!req.user) {
       return res.status(401).json({ error: 'User not found' });
     }
+
+    req.authSession = verified.session;
+
+    // Privileged accounts can only reach /api/auth (2FA enrolment, logout...)
+    // until they have enrolled a second factor
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactor.enabled && !req.originalUrl.startsWith('/api/auth/')) {
+      return res.status(403).json({
+        error: 'Two-factor authentication must be enabled for this account',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
     
     next();
   } catch (error) {
@@ -0,0 +1,18 @@
+import { getSheetLock } from '../utils/gradeSheet.js';
+
+// requireEditableSheet('makeup') - rejects grade changes once the course
+// grade sheet of that session left draft. Must run after requirePermission
+// with a course or grade loader.
+exports.requireEditableSheet = (session = 'normal') => {
+  return async (req, res, next) => {
+    try {
+      const lock = await getSheetLock(req.context.course, session);
+      if (lock) {
+        return res.status(409).json({ error: lock, code: 'GRADE_SHEET_LOCKED' });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
@@ -0,0 +1,110 @@
+import Course from '../models/Course.js';
+import Grade from '../models/Grade.js';
+import GradeAppeal from '../models/GradeAppeal.js';
+import Attendance from '../models/Attendance.js';
+import AttendanceSession from '../models/AttendanceSession.js';
+import CheckInSession from '../models/CheckInSession.js';
+import Exam from '../models/Exam.js';
+import Announcement from '../models/Announcement.js';
+import Club from '../models/Club.js';
+import { hasPermission } from '../utils/permissionService.js';
+import { ARCHIVE_PERMISSIONS } from '../config/permissions.js';
+
+// Reads "params.id", "body.course"... from the request
+const pick = (req, path) => path.split('.').reduce((value, key) => value?.[key], req);
+
+// Resource loaders build the context a permission is checked against. They
+// return null when the resource does not exist.
+const defineLoader = (notFoundMessage, load) => {
+  load.notFoundMessage = notFoundMessage;
+  return load;
+};
+
+const loadCourse = (path, { optional = false } = {}) => defineLoader('Course not found', async (req) => {
+  const id = pick(req, path);
+  if (!id && optional) return {};
+  const course = await Course.findById(id);
+  return course && { course };
+});
+
+const loadGrade = (path) => defineLoader('Grade not found', async (req) => {
+  const grade = await Grade.findById(pick(req, path)).populate('course');
+  return grade && { grade, course: grade.course };
+});
+
+const loadAppeal = (path) => defineLoader('Appeal not found', async (req) => {
+  const appeal = await GradeAppeal.findById(pick(req, path)).populate('course');
+  return appeal && { appeal, course: appeal.course };
+});
+
+const loadAttendance = (path) => defineLoader('Attendance record not found', async (req) => {
+  const attendance = await Attendance.findById(pick(req, path)).populate('course');
+  return attendance && { attendance, course: attendance.course };
+});
+
+const loadAttendanceSession = (path) => defineLoader('Session not found', async (req) => {
+  const attendanceSession = await AttendanceSession.findById(pick(req, path)).populate('course');
+  return attendanceSession && { attendanceSession, course: attendanceSession.course };
+});
+
+const loadCheckInSession = (path) => defineLoader('Check-in session not found', async (req) => {
+  const checkInSession = await CheckInSession.findById(pick(req, path)).populate('course');
+  return checkInSession && { checkInSession, course: checkInSession.course };
+});
+
+const loadExam = (path) => defineLoader('Exam not found', async (req) => {
+  const exam = await Exam.findById(pick(req, path)).populate('course');
+  return exam && { exam, course: exam.course };
+});
+
+const loadAnnouncement = (path) => defineLoader('Announcement not found', async (req) => {
+  const announcement = await Announcement.findById(pick(req, path)).populate('course');
+  return announcement && { announcement, course: announcement.course || undefined };
+});
+
+const loadClub = (path) => defineLoader('Club not found', async (req) => {
+  const club = await Club.findById(pick(req, path));
+  return club && { club };
+});
+
+// requirePermission('course:update', loadCourse('params.id'))
+// The permission may be a function of the request. The loaded context is
+// exposed to the handler as req.context.
+exports.requirePermission = (permission, loadContext = null) => {
+  return async (req, res, next) => {
+    try {
+      let context = null;
+
+      if (loadContext) {
+        context = await loadContext(req);
+        if (!context) {
+          return res.status(404).json({ error: loadContext.notFoundMessage });
+        }
+      }
+
+      const required = typeof permission === 'function' ? permission(req) : permission;
+      if (!(await hasPermission(req, required, context))) {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (context?.course?.archivedAt && req.user.role !== 'admin' && !ARCHIVE_PERMISSIONS.includes(required)) {
+        return res.status(403).json({ error: 'This course offering is archived and read-only', code: 'COURSE_ARCHIVED' });
+      }
+
+      req.context = context || {};
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
+
+exports.loadCourse = loadCourse;
+exports.loadGrade = loadGrade;
+exports.loadAppeal = loadAppeal;
+exports.loadAttendance = loadAttendance;
+exports.loadAttendanceSession = loadAttendanceSession;
+exports.loadCheckInSession = loadCheckInSession;
+exports.loadExam = loadExam;
+exports.loadAnnouncement = loadAnnouncement;
+exports.loadClub = loadClub;
@@ -0,0 +1,39 @@
+import { findTerm } from '../utils/academicTerm.js';
+
+const WINDOWS = {
+  enrollment: {
+    isOpen: (term) => term.isEnrollmentOpen(),
+    message: (term) => `Enrollment for ${term.semester} ${term.academicYear} is open from ` +
+      `${term.enrollmentStart.toDateString()} to ${term.enrollmentEnd.toDateString()}`
+  },
+  grading: {
+    isOpen: (term) => term.isGradingOpen(),
+    message: (term) => `Grade entry for ${term.semester} ${term.academicYear} is open from ` +
+      `${term.startDate.toDateString()} to ${term.gradingDeadline.toDateString()}`
+  }
+};
+
+// requireTermWindow('grading') - rejects the request when the term of
+// req.context.course is outside the window. Must run after
+// requirePermission with a course loader. Admins are not restricted, and
+// courses of terms that were never configured are left open.
+exports.requireTermWindow = (window) => {
+  const { isOpen, message } = WINDOWS[window];
+
+  return async (req, res, next) => {
+    try {
+      const { course } = req.context;
+      if (req.user.role === 'admin' || !course) return next();
+
+      const term = await findTerm(course);
+      if (term && !isOpen(term)) {
+        return res.status(403).json({ error: message(term), code: `${window.toUpperCase()}_CLOSED` });
+      }
+
+      req.term = term;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+};
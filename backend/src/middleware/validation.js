@@ -1,4 +1,5 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { validateMatricule } from '../utils/matricule.js';
 
 exports.validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -12,13 +13,20 @@ exports.validate = (req, res, next) => {
 };
 
 exports.registerValidation = [
-  body('studentId').trim().notEmpty().isLength({ min: 5, max: 20 }),
+  body('studentId').trim().notEmpty().isLength({ min: 5, max: 20 })
+    .custom((value, { req }) => {
+      if (req.body.invitationCode) return true;
+      const result = validateMatricule(value, req.body.level);
+      if (!result.valid) throw new Error(result.error);
+      return true;
+    }),
   body('email').trim().notEmpty().isEmail().normalizeEmail(),
   body('password').trim().notEmpty().isLength({ min: 6 }),
   body('firstName').trim().notEmpty().isLength({ min: 2, max: 50 }),
   body('lastName').trim().notEmpty().isLength({ min: 2, max: 50 }),
   body('faculty').trim().notEmpty(),
-  body('department').trim().notEmpty()
+  body('department').trim().notEmpty(),
+  body('invitationCode').optional().trim().matches(/^[A-Z0-9]{4}-[A-Z0-9]{4}$/i)
 ];
 
 exports.loginValidation = [
@@ -31,18 +39,26 @@ exports.createCourseValidation = [
   body('name').trim().notEmpty().isLength({ min: 3, max: 100 }),
   body('credits').notEmpty().isInt({ min: 1, max: 12 }),
   body('level').notEmpty().isIn(['L1', 'L2', 'L3', 'M1', 'M2']),
-  body('semester').notEmpty().isIn(['S1', 'S2'])
+  body('semester').optional().isIn(['S1', 'S2'])
+];
+
+exports.academicTermValidation = [
+  body('academicYear').notEmpty().matches(/^\d{4}-\d{4}$/),
+  body('semester').notEmpty().isIn(['S1', 'S2']),
+  body(['startDate', 'endDate', 'enrollmentStart', 'enrollmentEnd', 'gradingDeadline']).notEmpty().isISO8601(),
+  body('holidays.*.name').notEmpty(),
+  body(['holidays.*.startDate', 'holidays.*.endDate']).isISO8601()
 ];
 
 exports.createGradeValidation = [
   body('student').notEmpty().isMongoId(),
   body('course').notEmpty().isMongoId(),
-  body('semester').notEmpty().isIn(['S1', 'S2']),
-  body('academicYear').notEmpty().matches(/^\d{4}-\d{4}$/),
+  body('semester').optional().isIn(['S1', 'S2']),
+  body('academicYear').optional().matches(/^\d{4}-\d{4}$/),
   body('assessments').isArray({ min: 1 }),
   body('assessments.*.type').isIn(['TD', 'TP', 'Test', 'Exam', 'Project']),
   body('assessments.*.score').isFloat({ min: 0, max: 20 }),
-  body('assessments.*.weight').isFloat({ min: 0, max: 1 })
+  body('assessments.*.weight').optional().isFloat({ min: 0, max: 1 })
 ];
 
 exports.createAttendanceValidation = [
@@ -50,7 +66,9 @@ exports.createAttendanceValidation = [
   body('course').notEmpty().isMongoId(),
   body('date').notEmpty().isISO8601(),
   body('status').notEmpty().isIn(['Present', 'Absent', 'Late', 'Excused']),
-  body('sessionType').notEmpty().isIn(['Lecture', 'TD', 'TP'])
+  body('session').optional().isMongoId(),
+  // Accepted in place of session, see POST /api/attendance
+  body('sessionType').optional().isIn(['Lecture', 'TD', 'TP'])
 ];
 
 exports.createExamValidation = [
@@ -0,0 +1,13 @@
+// Accounts created before email verification existed have no
+// isEmailVerified field and would be refused at login. They are marked as
+// verified; accounts created since then keep their own value.
+import User from '../models/User.js';
+import { runMigration } from './runMigration.js';
+
+runMigration('001-verify-existing-emails', async () => {
+  const { modifiedCount } = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+  return { verified: modifiedCount };
+});
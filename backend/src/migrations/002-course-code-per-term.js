@@ -0,0 +1,17 @@
+// Course codes used to be unique on their own (index code_1). Since course
+// rollover, a code is unique per academic year and semester, and the old
+// index makes every rollover fail with a duplicate key error. It is dropped
+// and the per-term index built.
+import Course from '../models/Course.js';
+import { runMigration } from './runMigration.js';
+
+runMigration('002-course-code-per-term', async () => {
+  const indexes = await Course.collection.indexes();
+  const dropped = indexes.some(index => index.name === 'code_1');
+  if (dropped) {
+    await Course.collection.dropIndex('code_1');
+  }
+
+  await Course.createIndexes();
+  return { droppedCodeIndex: dropped };
+});
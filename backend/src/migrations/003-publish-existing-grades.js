@@ -0,0 +1,45 @@
+// Grades entered before grade sheets existed have no isPublished field and
+// would disappear from student views. They were visible to students, so
+// they are marked as published (first published when last updated), and
+// each of their course offerings gets a published normal session sheet so
+// that later changes go through the sheet workflow.
+import Grade from '../models/Grade.js';
+import GradeSheet from '../models/GradeSheet.js';
+import { runMigration } from './runMigration.js';
+
+runMigration('003-publish-existing-grades', async () => {
+  const unpublished = { isPublished: { $exists: false } };
+
+  const offerings = await Grade.aggregate([
+    { $match: unpublished },
+    { $group: { _id: { course: '$course', semester: '$semester', academicYear: '$academicYear' } } }
+  ]);
+
+  const { modifiedCount } = await Grade.updateMany(unpublished, [
+    {
+      $set: {
+        isPublished: true,
+        firstPublishedAt: { $ifNull: ['$firstPublishedAt', { $ifNull: ['$updatedAt', '$$NOW'] }] }
+      }
+    }
+  ]);
+
+  let sheets = 0;
+  const now = new Date();
+  for (const { _id } of offerings) {
+    const result = await GradeSheet.updateOne(
+      { ..._id, session: 'normal' },
+      {
+        $setOnInsert: {
+          status: 'published',
+          publishedAt: now,
+          history: [{ action: 'migrate', to: 'published', reason: 'Grades published before grade sheets existed', at: now }]
+        }
+      },
+      { upsert: true }
+    );
+    sheets += result.upsertedCount;
+  }
+
+  return { published: modifiedCount, sheets };
+});
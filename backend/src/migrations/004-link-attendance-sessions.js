@@ -0,0 +1,76 @@
+// Attendance recorded before attendance sessions existed has no
+// attendanceSession and is left out of the attendance rates. Each record is
+// linked to the occurrence of its schedule entry on its day, created as
+// held when missing. Records without a schedule entry get the only entry of
+// their type the student attends, on that weekday or else on any day.
+// Records that match no single entry, or duplicate a record already linked
+// to the same session, are left as they are, counted and printed.
+import Attendance from '../models/Attendance.js';
+import AttendanceSession from '../models/AttendanceSession.js';
+import Course from '../models/Course.js';
+import { findScheduleEntries, findOrCreateSession } from '../utils/attendanceSession.js';
+import { runMigration } from './runMigration.js';
+
+const matchEntry = (course, record) => {
+  const recorded = record.session && course.schedule.id(record.session);
+  if (recorded) return recorded;
+
+  const query = { type: record.sessionType, students: [record.student] };
+  const sameDay = findScheduleEntries(course, { ...query, date: record.date });
+  if (sameDay.length === 1) return sameDay[0];
+
+  const anyDay = findScheduleEntries(course, query);
+  return anyDay.length === 1 ? anyDay[0] : null;
+};
+
+runMigration('004-link-attendance-sessions', async () => {
+  const unlinked = { attendanceSession: { $exists: false } };
+  const result = { linked: 0, sessions: 0, unmatched: 0, duplicates: 0 };
+  const unmatched = [];
+  const duplicates = [];
+
+  const courseIds = await Attendance.distinct('course', unlinked);
+  for (const courseId of courseIds) {
+    const course = await Course.findById(courseId);
+    const records = await Attendance.find({ ...unlinked, course: courseId });
+    if (!course) {
+      unmatched.push(...records.map(record => record._id));
+      continue;
+    }
+
+    for (const record of records) {
+      const entry = matchEntry(course, record);
+      if (!entry) {
+        unmatched.push(record._id);
+        continue;
+      }
+
+      const session = await findOrCreateSession(course, entry, record.date, record.recordedBy);
+      if (session.status === 'scheduled') {
+        await AttendanceSession.updateOne({ _id: session._id, status: 'scheduled' }, { status: 'held' });
+        result.sessions++;
+      }
+
+      try {
+        await Attendance.updateOne(
+          { _id: record._id },
+          { attendanceSession: session._id, session: entry._id }
+        );
+        result.linked++;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        duplicates.push(record._id);
+      }
+    }
+  }
+
+  result.unmatched = unmatched.length;
+  result.duplicates = duplicates.length;
+  if (unmatched.length > 0) {
+    console.log(`Records matching no single schedule entry: ${unmatched.join(', ')}`);
+  }
+  if (duplicates.length > 0) {
+    console.log(`Records duplicating one already linked to their session: ${duplicates.join(', ')}`);
+  }
+  return result;
+});
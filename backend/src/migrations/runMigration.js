@@ -0,0 +1,22 @@
+import "dotenv/config";
+import mongoose from 'mongoose';
+
+// Connects with the server settings, runs one migration and exits. The
+// migration returns a summary that is printed.
+const runMigration = async (name, migrate) => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/usthb_portal');
+    console.log(`Running ${name}`);
+
+    const result = await migrate();
+    console.log(`✅ ${name} done`, result ?? '');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ ${name} failed:`, error);
+    process.exit(1);
+  }
+};
+
+module.exports = { runMigration };
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// A student's request to excuse one or more absences, with a supporting
+// document (medical certificate...). Approval turns the records Excused.
+const absenceJustificationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Attendance records with status Absent
+  absences: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  }],
+  // Course of the absences: submissions are split per course, only older
+  // justifications have several, and a reviewer needs all of them
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Please explain the reason of your absence'],
+    maxlength: 2000
+  },
+  document: {
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: String,
+    format: String,
+    originalName: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  review: {
+    comment: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+absenceJustificationSchema.index({ student: 1, createdAt: -1 });
+absenceJustificationSchema.index({ courses: 1, status: 1 });
+absenceJustificationSchema.index({ absences: 1, status: 1 });
+
+module.exports = mongoose.model('AbsenceJustification', absenceJustificationSchema);
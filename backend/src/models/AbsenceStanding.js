@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { ABSENCE_STAGES } from '../config/attendance.js';
+
+// Absences of a student in the sessions of one type of a course, kept up to
+// date by the evaluation job in utils/absenceStanding.js
+const absenceStandingSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['Lecture', 'TD', 'TP'],
+    required: true
+  },
+  unjustified: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  stage: {
+    type: String,
+    enum: ABSENCE_STAGES,
+    default: 'ok'
+  },
+  // Highest stage the student was told about, so each warning is sent once
+  notifiedStage: {
+    type: String,
+    enum: ABSENCE_STAGES,
+    default: 'ok'
+  },
+  warnedAt: Date,
+  excludedAt: Date,
+  evaluatedAt: Date
+}, {
+  timestamps: true
+});
+
+absenceStandingSchema.index({ course: 1, student: 1, sessionType: 1 }, { unique: true });
+absenceStandingSchema.index({ course: 1, stage: 1 });
+absenceStandingSchema.index({ student: 1 });
+
+module.exports = mongoose.model('AbsenceStanding', absenceStandingSchema);
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+const academicTermSchema = new mongoose.Schema({
+  academicYear: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{4}$/, 'Academic year must look like 2024-2025']
+  },
+  semester: {
+    type: String,
+    enum: ['S1', 'S2'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  enrollmentStart: {
+    type: Date,
+    required: true
+  },
+  enrollmentEnd: {
+    type: Date,
+    required: true
+  },
+  // Last day grades can be entered or changed by course staff
+  gradingDeadline: {
+    type: Date,
+    required: true
+  },
+  holidays: [{
+    name: {
+      type: String,
+      required: true
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Set by admins; otherwise the term running today is the current one
+  isCurrent: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+academicTermSchema.index({ academicYear: 1, semester: 1 }, { unique: true });
+academicTermSchema.index({ isCurrent: 1 }, { unique: true, partialFilterExpression: { isCurrent: true } });
+
+academicTermSchema.pre('validate', function(next) {
+  if (this.endDate <= this.startDate) {
+    return next(new Error('Term must end after it starts'));
+  }
+  if (this.enrollmentEnd <= this.enrollmentStart) {
+    return next(new Error('Enrollment window must end after it starts'));
+  }
+  if (this.gradingDeadline < this.startDate) {
+    return next(new Error('Grading deadline cannot be before the term starts'));
+  }
+  const invalidHoliday = this.holidays.find(h => h.endDate < h.startDate);
+  if (invalidHoliday) {
+    return next(new Error(`Holiday ${invalidHoliday.name} must end after it starts`));
+  }
+  next();
+});
+
+academicTermSchema.methods.isEnrollmentOpen = function(date = new Date()) {
+  return date >= this.enrollmentStart && date <= this.enrollmentEnd;
+};
+
+academicTermSchema.methods.isGradingOpen = function(date = new Date()) {
+  return date >= this.startDate && date <= this.gradingDeadline;
+};
+
+academicTermSchema.methods.getHoliday = function(date = new Date()) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return this.holidays.find(h => day >= new Date(h.startDate).setHours(0, 0, 0, 0) && day <= h.endDate) || null;
+};
+
+module.exports = mongoose.model('AcademicTerm', academicTermSchema);
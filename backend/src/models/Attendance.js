@@ -25,6 +25,25 @@ const attendanceSchema = new mongoose.Schema({
     enum: ['Lecture', 'TD', 'TP'],
     required: true
   },
+  // Course.schedule entry the attendance was taken for
+  session: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Occurrence of that entry, see models/AttendanceSession
+  attendanceSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession'
+  },
+  // Set when recorded through a QR check-in
+  checkInSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckInSession'
+  },
+  // Latest justification submitted for this absence
+  justification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AbsenceJustification'
+  },
   remarks: String,
   recordedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -35,5 +54,13 @@ const attendanceSchema = new mongoose.Schema({
 });
 
 attendanceSchema.index({ student: 1, course: 1, date: 1 });
+attendanceSchema.index(
+  { attendanceSession: 1, student: 1 },
+  { unique: true, partialFilterExpression: { attendanceSession: { $exists: true } } }
+);
+attendanceSchema.index(
+  { checkInSession: 1, student: 1 },
+  { unique: true, partialFilterExpression: { checkInSession: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// One occurrence of a course schedule entry on a given day. Attendance
+// records belong to it, and attendance rates are computed against the
+// sessions that were actually held, see utils/attendanceSession.js.
+const attendanceSessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Course.schedule entry
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Section or group of the schedule entry; unset for the whole course
+  group: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Start of the day the session takes place
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: String,
+  endTime: String,
+  room: String,
+  type: {
+    type: String,
+    enum: ['Lecture', 'TD', 'TP'],
+    required: true
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // scheduled until attendance is taken
+  status: {
+    type: String,
+    enum: ['scheduled', 'held', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  // Original date and time of a rescheduled session
+  rescheduledFrom: {
+    date: Date,
+    startTime: String,
+    endTime: String,
+    room: String
+  }
+}, {
+  timestamps: true
+});
+
+attendanceSessionSchema.index({ course: 1, slot: 1, date: 1 }, { unique: true });
+attendanceSessionSchema.index({ course: 1, status: 1, date: -1 });
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
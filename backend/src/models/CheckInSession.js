@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// A live QR check-in opened by an instructor for one schedule entry.
+// Students scan a code derived from the secret that rotates every
+// rotationSeconds, see utils/checkIn.js.
+const checkInSessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Course.schedule entry
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  attendanceSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceSession',
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['Lecture', 'TD', 'TP'],
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  // Students checking in later than this are marked Late
+  graceMinutes: {
+    type: Number,
+    min: 0,
+    default: 15
+  },
+  rotationSeconds: {
+    type: Number,
+    min: 5,
+    default: 20
+  },
+  // Closed automatically past this time
+  closesAt: {
+    type: Date,
+    required: true
+  },
+  closedAt: Date,
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // One student per device and session
+  devices: [{
+    _id: false,
+    deviceHash: String,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  absentCount: Number
+}, {
+  timestamps: true
+});
+
+checkInSessionSchema.index({ course: 1, session: 1, status: 1 });
+// At most one open check-in per schedule entry
+checkInSessionSchema.index(
+  { course: 1, session: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+checkInSessionSchema.index({ status: 1, closesAt: 1 });
+
+module.exports = mongoose.model('CheckInSession', checkInSessionSchema);
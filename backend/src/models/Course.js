@@ -1,10 +1,13 @@
 import mongoose from "mongoose";
+import { PASS_MARK, MAKEUP_RULES } from '../config/lmd.js';
+import { ASSESSMENT_TYPES, validateScheme } from '../utils/assessmentScheme.js';
+import { validateThresholds } from '../utils/absenceThresholds.js';
 
 const courseSchema = new mongoose.Schema({
+  // Unique per term: each academic year has its own offering of a module
   code: {
     type: String,
-    required: true,
-    unique: true
+    required: true
   },
   name: {
     type: String,
@@ -15,6 +18,20 @@ const courseSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Weight of the module in its unit and semester averages
+  coefficient: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // LMD teaching unit the module belongs to, e.g. { code: 'UEF1.1', type: 'UEF' }
+  teachingUnit: {
+    code: String,
+    type: {
+      type: String,
+      enum: ['UEF', 'UEM', 'UED', 'UET']
+    }
+  },
   professor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -49,8 +66,107 @@ const courseSchema = new mongoose.Schema({
     type: {
       type: String,
       enum: ['Lecture', 'TD', 'TP']
+    },
+    // Section or group attending this session; unset for the whole course
+    group: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  }],
+  // Lecture sections and TD/TP groups. A student belongs to at most one
+  // group of each type.
+  groups: [{
+    name: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['section', 'group'],
+      default: 'group'
+    },
+    capacity: {
+      type: Number,
+      default: 30
+    },
+    students: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }],
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['lecturer', 'td_instructor', 'tp_instructor'],
+      required: true
+    },
+    // Schedule entries this staff member teaches
+    sessions: [{
+      type: mongoose.Schema.Types.ObjectId
+    }]
+  }],
+  // How the module grade is computed, see utils/assessmentScheme.js. When
+  // bestOf is set only the best N assessments of that type count.
+  assessmentScheme: {
+    type: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ASSESSMENT_TYPES,
+        required: true
+      },
+      weight: {
+        type: Number,
+        required: true
+      },
+      bestOf: Number
+    }],
+    validate: {
+      validator: (scheme) => !validateScheme(scheme),
+      message: (props) => validateScheme(props.value)
+    }
+  },
+  // Overrides the default absence thresholds, see config/attendance.js
+  absenceThresholds: {
+    type: [{
+      _id: false,
+      sessionType: {
+        type: String,
+        enum: ['Lecture', 'TD', 'TP'],
+        required: true
+      },
+      unjustified: Number,
+      total: Number
+    }],
+    validate: {
+      validator: (thresholds) => !validateThresholds(thresholds),
+      message: (props) => validateThresholds(props.value)
+    }
+  },
+  // Overrides LMD_MAKEUP_RULE for this module, see config/lmd.js
+  makeupRule: {
+    type: String,
+    enum: MAKEUP_RULES
+  },
+  // Modules that must be passed before enrolling, by course code
+  prerequisites: [{
+    code: {
+      type: String,
+      required: true
+    },
+    minGrade: {
+      type: Number,
+      min: 0,
+      max: 20,
+      default: PASS_MARK
     }
   }],
+  // Modules that must be passed or taken in the same semester
+  corequisites: [String],
   enrolledStudents: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -59,6 +175,21 @@ const courseSchema = new mongoose.Schema({
     type: Number,
     default: 50
   },
+  // Ranked queue of students waiting for a seat. A promoted student holds a
+  // seat until offerExpiresAt and must confirm before then.
+  waitlist: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date
+  }],
   syllabus: String,
   materials: [{
     title: String,
@@ -76,9 +207,21 @@ const courseSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Offering this course was rolled over from
+  previousOffering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  // Set when the offering is rolled over; archived courses are read-only
+  archivedAt: Date
 }, {
   timestamps: true
 });
 
+courseSchema.index({ code: 1, academicYear: 1, semester: 1 }, { unique: true });
+courseSchema.index({ 'staff.user': 1 });
+courseSchema.index({ 'groups.students': 1 });
+courseSchema.index({ 'waitlist.student': 1 });
+
 module.exports = mongoose.model('Course', courseSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { PASS_MARK, MAKEUP_RULES } from '../config/lmd.js';
 
 
 const gradeSchema = new mongoose.Schema({
@@ -37,6 +38,7 @@ const gradeSchema = new mongoose.Schema({
       type: Number,
       default: 20
     },
+    // Taken from the course assessment scheme when it has one
     weight: {
       type: Number,
       required: true
@@ -54,27 +56,176 @@ const gradeSchema = new mongoose.Schema({
     enum: ['Pass', 'Fail', 'Pending'],
     default: 'Pending'
   },
+  // Session the final grade comes from
+  session: {
+    type: String,
+    enum: ['normal', 'makeup'],
+    default: 'normal'
+  },
+  // Result of the normal session, frozen when the make-up session opens
+  normalSession: {
+    finalGrade: Number,
+    status: String,
+    closedAt: Date
+  },
+  makeup: {
+    eligible: {
+      type: Boolean,
+      default: false
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 20
+    },
+    rule: {
+      type: String,
+      enum: MAKEUP_RULES
+    },
+    exam: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exam'
+    },
+    enteredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    enteredAt: Date,
+    isPublished: {
+      type: Boolean,
+      default: false
+    },
+    firstPublishedAt: Date
+  },
+  // Set when the course grade sheet is published, see models/GradeSheet
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  // Kept when a sheet is unpublished: later changes must be justified
+  firstPublishedAt: Date,
   remarks: String
 }, {
   timestamps: true
 });
 
+const weightedGrade = (assessments) => {
+  let totalWeight = 0;
+  let weightedSum = 0;
+
+  assessments.forEach(assessment => {
+    weightedSum += (assessment.score / assessment.maxScore) * 20 * assessment.weight;
+    totalWeight += assessment.weight;
+  });
+
+  return totalWeight > 0 ? Number((weightedSum / totalWeight).toFixed(2)) : null;
+};
+
+// Module grade from a course assessment scheme: each component is the
+// average of its assessments (the best N with bestOf), and components with
+// no assessment yet are left out, like missing assessments without a scheme.
+const schemeGrade = (assessments, scheme) => {
+  let totalWeight = 0;
+  let weightedSum = 0;
+
+  scheme.forEach(component => {
+    const scores = assessments
+      .filter(a => a.type === component.type)
+      .map(a => (a.score / a.maxScore) * 20)
+      .sort((a, b) => b - a);
+    if (scores.length === 0) return;
+
+    const counted = component.bestOf ? scores.slice(0, component.bestOf) : scores;
+    weightedSum += (counted.reduce((sum, score) => sum + score, 0) / counted.length) * component.weight;
+    totalWeight += component.weight;
+  });
+
+  return totalWeight > 0 ? Number((weightedSum / totalWeight).toFixed(2)) : null;
+};
+
+const moduleGrade = (assessments, scheme) => {
+  return scheme.length > 0 ? schemeGrade(assessments, scheme) : weightedGrade(assessments);
+};
+
+// Module grade after the make-up session. The make-up score stands in for
+// the exam component, or for the whole module when it has no exam.
+const makeupGrade = (assessments, scheme, score, rule, normalGrade) => {
+  const hasExam = assessments.some(a => a.type === 'Exam');
+  const withExamScore = (pick) => {
+    if (!hasExam) return pick(normalGrade ?? 0);
+    return moduleGrade(assessments.map(a => (a.type === 'Exam'
+      ? { type: a.type, weight: a.weight, score: pick((a.score / a.maxScore) * 20), maxScore: 20 }
+      : a)), scheme);
+  };
+
+  if (rule === 'replace') {
+    return withExamScore(() => score);
+  }
+
+  const best = withExamScore(examScore => Math.max(examScore, score));
+  if (rule === 'cap_10') {
+    return Math.max(normalGrade ?? 0, Math.min(best, PASS_MARK));
+  }
+  return best;
+};
+
+const getCourseScheme = async (grade) => {
+  if (grade.populated('course')) return grade.course.assessmentScheme || [];
+
+  const course = await mongoose.model('Course').findById(grade.course).select('assessmentScheme');
+  return course?.assessmentScheme || [];
+};
+
+// The course scheme, when there is one, decides the assessment weights
+gradeSchema.pre('validate', async function(next) {
+  const scheme = await getCourseScheme(this);
+  this.$locals.scheme = scheme;
+
+  scheme.forEach(component => {
+    this.assessments.filter(a => a.type === component.type).forEach(a => {
+      a.weight = component.weight;
+    });
+  });
+  next();
+});
+
 gradeSchema.pre('save', function(next) {
   if (this.assessments && this.assessments.length > 0) {
-    let totalWeight = 0;
-    let weightedSum = 0;
-    
-    this.assessments.forEach(assessment => {
-      weightedSum += (assessment.score / assessment.maxScore) * 20 * assessment.weight;
-      totalWeight += assessment.weight;
-    });
-    
-    if (totalWeight > 0) {
-      this.finalGrade = Number((weightedSum / totalWeight).toFixed(2));
-      this.status = this.finalGrade >= 10 ? 'Pass' : 'Fail';
+    const scheme = this.$locals.scheme || [];
+    const normalGrade = moduleGrade(this.assessments, scheme);
+
+    if (normalGrade !== null) {
+      // Corrections after the normal session closed, e.g. accepted appeals
+      if (this.normalSession?.closedAt && this.isModified('assessments')) {
+        this.normalSession.finalGrade = normalGrade;
+        this.normalSession.status = normalGrade >= PASS_MARK ? 'Pass' : 'Fail';
+      }
+
+      const hasMakeup = this.makeup?.eligible && this.makeup.score !== undefined && this.makeup.score !== null;
+
+      this.finalGrade = hasMakeup
+        ? makeupGrade(this.assessments, scheme, this.makeup.score, this.makeup.rule, this.normalSession?.finalGrade ?? normalGrade)
+        : normalGrade;
+      this.session = hasMakeup ? 'makeup' : 'normal';
+      this.status = this.finalGrade >= PASS_MARK ? 'Pass' : 'Fail';
     }
   }
   next();
 });
 
+// What a student may see: nothing before publication, and the normal
+// session result until the make-up results are published too
+gradeSchema.methods.toStudentView = function() {
+  if (!this.isPublished) return null;
+
+  const grade = this.toObject();
+  if (grade.session === 'makeup' && !grade.makeup?.isPublished) {
+    grade.finalGrade = grade.normalSession.finalGrade;
+    grade.status = grade.normalSession.status;
+    grade.session = 'normal';
+    delete grade.makeup.score;
+  }
+  return grade;
+};
+
 module.exports = mongoose.model('Grade', gradeSchema);
\ No newline at end of file
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// A student's request to review one assessment of a published grade
+const gradeAppealSchema = new mongoose.Schema({
+  grade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade',
+    required: true
+  },
+  // Grade.assessments subdocument under appeal
+  assessment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  assessmentType: String,
+  originalScore: Number,
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please explain why you are contesting this grade'],
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'consultation', 'accepted', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  // Copy consultation slot offered by the professor
+  consultation: {
+    date: Date,
+    location: String,
+    notes: String,
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  resolution: {
+    comment: String,
+    newScore: Number,
+    maxScore: Number,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+gradeAppealSchema.index({ student: 1, createdAt: -1 });
+gradeAppealSchema.index({ course: 1, status: 1 });
+gradeAppealSchema.index({ assessment: 1, status: 1 });
+
+gradeAppealSchema.methods.isOpen = function() {
+  return ['pending', 'consultation'].includes(this.status);
+};
+
+module.exports = mongoose.model('GradeAppeal', gradeAppealSchema);
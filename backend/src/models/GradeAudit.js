@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const gradeAuditSchema = new mongoose.Schema({
+  grade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'create',
+      'update',
+      'delete',
+      'assessment_add',
+      'assessment_update',
+      'assessment_delete',
+      'makeup_open',
+      'makeup_score',
+      'import',
+      'scheme_change'
+    ],
+    required: true
+  },
+  // Changed fields, e.g. { field: 'assessments.<id>.score', from: 8, to: 11 }
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: String,
+  ipAddress: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+gradeAuditSchema.index({ grade: 1, createdAt: -1 });
+gradeAuditSchema.index({ course: 1, createdAt: -1 });
+gradeAuditSchema.index({ actor: 1, createdAt: -1 });
+
+// Audit entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Grade audit entries cannot be modified or deleted'));
+};
+
+gradeAuditSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+gradeAuditSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+gradeAuditSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+module.exports = mongoose.model('GradeAudit', gradeAuditSchema);
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Review state of the grades of one course offering for one session.
+// Students only see grades once their sheet is published.
+const gradeSheetSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  semester: {
+    type: String,
+    enum: ['S1', 'S2'],
+    required: true
+  },
+  academicYear: {
+    type: String,
+    required: true
+  },
+  session: {
+    type: String,
+    enum: ['normal', 'makeup'],
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'published'],
+    default: 'draft'
+  },
+  history: [{
+    action: {
+      type: String,
+      required: true
+    },
+    from: String,
+    to: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  submittedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  publishedAt: Date
+}, {
+  timestamps: true
+});
+
+gradeSheetSchema.index({ course: 1, academicYear: 1, semester: 1, session: 1 }, { unique: true });
+gradeSheetSchema.index({ status: 1 });
+
+module.exports = mongoose.model('GradeSheet', gradeSheetSchema);
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['professor', 'admin'],
+    required: true
+  },
+  faculty: String,
+  department: String,
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sentCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ codeHash: 1 });
+
+invitationSchema.methods.isUsable = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const loginHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['unknown_user', 'invalid_password', 'invalid_2fa_code', 'account_locked', 'account_disabled']
+  },
+  ipAddress: String,
+  userAgent: String,
+  deviceHash: String,
+  isNewDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ user: 1, deviceHash: 1, success: 1 });
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
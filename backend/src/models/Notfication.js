@@ -17,10 +17,15 @@ const notificationSchema = new mongoose.Schema({
       'new_grade',
       'new_announcement',
       'exam_reminder',
+      'makeup_session',
+      'grade_appeal',
       'attendance_marked',
+      'absence_justification',
+      'absence_warning',
       'course_update',
       'club_invite',
       'deadline_reminder',
+      'security_alert',
       'system'
     ],
     required: true
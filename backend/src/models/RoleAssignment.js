@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import { SCOPED_ROLES, SCOPE_TYPES } from '../config/permissions.js';
+
+const roleAssignmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.keys(SCOPED_ROLES),
+    required: true
+  },
+  scope: {
+    type: {
+      type: String,
+      enum: SCOPE_TYPES,
+      required: true
+    },
+    faculty: String,
+    department: String,
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    },
+    club: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club'
+    }
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+roleAssignmentSchema.index({ user: 1 });
+roleAssignmentSchema.index({ 'scope.course': 1 });
+
+roleAssignmentSchema.pre('validate', function(next) {
+  const { type } = this.scope || {};
+  const allowed = SCOPED_ROLES[this.role]?.scopes || [];
+
+  if (type !== 'global' && !allowed.includes(type)) {
+    return next(new Error(`Role ${this.role} cannot be scoped to a ${type}`));
+  }
+  if (type !== 'global' && !this.scope[type]) {
+    return next(new Error(`Scope ${type} requires a ${type} value`));
+  }
+  next();
+});
+
+roleAssignmentSchema.methods.isActive = function() {
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RoleAssignment', roleAssignmentSchema);
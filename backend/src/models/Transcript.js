@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// An issued relevé de notes. The summary is what the public verification
+// endpoint discloses, and the signature proves it was issued by the portal.
+const transcriptSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  academicYear: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: String,
+    required: true
+  },
+  // Omitted for a full-year transcript
+  semester: {
+    type: String,
+    enum: ['S1', 'S2']
+  },
+  summary: {
+    studentName: String,
+    studentId: String,
+    faculty: String,
+    department: String,
+    average: Number,
+    credits: Number,
+    acquiredCredits: Number,
+    decision: String
+  },
+  // Hash of the full results printed on the document
+  contentHash: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'issuedAt', updatedAt: false }
+});
+
+transcriptSchema.index({ student: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const userSchema = new mongoose.Schema({
   studentId: {
@@ -50,6 +51,14 @@ const userSchema = new mongoose.Schema({
   phoneNumber: String,
   dateOfBirth: Date,
   address: String,
+  // Device used for QR attendance check-in, bound on first use
+  checkInDevice: {
+    hash: {
+      type: String,
+      select: false
+    },
+    boundAt: Date
+  },
   enrolledCourses: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Course'
@@ -62,6 +71,60 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
   lastLogin: Date
 }, {
   timestamps: true
@@ -78,4 +141,25 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Only the SHA-256 hash of a token is stored; the raw value goes in the email.
+const createHashedToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hash = crypto.createHash('sha256').update(token).digest('hex');
+  return { token, hash };
+};
+
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hash } = createHashedToken();
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+  return token;
+};
+
+userSchema.methods.createPasswordResetToken = function() {
+  const { token, hash } = createHashedToken();
+  this.passwordResetToken = hash;
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000;
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
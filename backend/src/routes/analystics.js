@@ -21,7 +21,9 @@ router.get('/student/:id', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    const analytics = await calculateStudentAnalytics(req.params.id);
+    const analytics = await calculateStudentAnalytics(req.params.id, {
+      publishedOnly: req.user.role === 'student'
+    });
 
     if (!analytics) {
       return res.status(404).json({ error: 'Analytics not found' });
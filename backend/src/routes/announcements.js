@@ -3,7 +3,8 @@ import express from 'express';
 const router = express.Router();
 import Announcement from '../models/Announcement';
 import Course from '../models/Course';
-import { protect, authorize } from '../middleware/auth';
+import { protect } from '../middleware/auth';
+import { requirePermission, loadCourse, loadAnnouncement } from '../middleware/permissions';
 
 // @route   GET /api/announcements
 // @desc    Get announcements for user
@@ -74,22 +75,17 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/announcements
 // @desc    Create announcement
-// @access  Private (Professor/Admin)
-router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (announcement:create, announcement:create_course for course announcements)
+router.post('/', protect, requirePermission(
+  req => (req.body.course ? 'announcement:create_course' : 'announcement:create'),
+  loadCourse('body.course', { optional: true })
+), async (req, res) => {
   try {
     const announcementData = {
       ...req.body,
       author: req.user.id
     };
 
-    // If course announcement, verify professor teaches it
-    if (req.body.course && req.user.role === 'professor') {
-      const course = await Course.findById(req.body.course);
-      if (!course || course.professor.toString() !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized to post to this course' });
-      }
-    }
-
     const announcement = await Announcement.create(announcementData);
 
     await announcement.populate('author', 'firstName lastName role');
@@ -110,21 +106,10 @@ router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
 
 // @route   PUT /api/announcements/:id
 // @desc    Update announcement
-// @access  Private (Author/Admin)
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (announcement:update)
+router.put('/:id', protect, requirePermission('announcement:update', loadAnnouncement('params.id')), async (req, res) => {
   try {
-    let announcement = await Announcement.findById(req.params.id);
-
-    if (!announcement) {
-      return res.status(404).json({ error: 'Announcement not found' });
-    }
-
-    // Check if user is author or admin
-    if (announcement.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    announcement = await Announcement.findByIdAndUpdate(req.params.id, req.body, {
+    const announcement = await Announcement.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
     })
@@ -142,20 +127,10 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   DELETE /api/announcements/:id
 // @desc    Delete announcement
-// @access  Private (Author/Admin)
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (announcement:delete)
+router.delete('/:id', protect, requirePermission('announcement:delete', loadAnnouncement('params.id')), async (req, res) => {
   try {
-    const announcement = await Announcement.findById(req.params.id);
-
-    if (!announcement) {
-      return res.status(404).json({ error: 'Announcement not found' });
-    }
-
-    if (announcement.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    await announcement.deleteOne();
+    await req.context.announcement.deleteOne();
 
     res.json({
       success: true,
@@ -168,18 +143,10 @@ router.delete('/:id', protect, async (req, res) => {
 
 // @route   PUT /api/announcements/:id/toggle
 // @desc    Toggle announcement active status
-// @access  Private (Author/Admin)
-router.put('/:id/toggle', protect, async (req, res) => {
+// @access  Private (announcement:update)
+router.put('/:id/toggle', protect, requirePermission('announcement:update', loadAnnouncement('params.id')), async (req, res) => {
   try {
-    const announcement = await Announcement.findById(req.params.id);
-
-    if (!announcement) {
-      return res.status(404).json({ error: 'Announcement not found' });
-    }
-
-    if (announcement.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const { announcement } = req.context;
 
     announcement.isActive = !announcement.isActive;
     await announcement.save();
@@ -217,8 +184,8 @@ router.get('/course/:courseId', protect, async (req, res) => {
 
 // @route   GET /api/announcements/my/posted
 // @desc    Get announcements posted by current user
-// @access  Private (Professor/Admin)
-router.get('/my/posted', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (announcement:create)
+router.get('/my/posted', protect, requirePermission('announcement:create'), async (req, res) => {
   try {
     const announcements = await Announcement.find({
       author: req.user.id
@@ -0,0 +1,206 @@
+// routes/appeals.js - Grade Appeal (recours) Routes
+import express from 'express';
+import Grade from '../models/Grade.js';
+import GradeAppeal from '../models/GradeAppeal.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { requirePermission, loadAppeal } from '../middleware/permissions.js';
+import { hasPermission } from '../utils/permissionService.js';
+import { auditContext } from '../utils/gradeAudit.js';
+import {
+  APPEAL_WINDOW_DAYS,
+  getAppealDeadline,
+  checkAppealable,
+  openAppeal,
+  scheduleConsultation,
+  resolveAppeal
+} from '../utils/gradeAppeal.js';
+
+const router = express.Router();
+
+// @route   GET /api/appeals
+// @desc    Get appeals (student gets own, reviewers get their courses)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.course) query.course = req.query.course;
+
+    if (req.user.role === 'student') {
+      query.student = req.user.id;
+    } else if (!(await hasPermission(req, 'grade:review_appeal'))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const appeals = await GradeAppeal.find(query)
+      .populate('course', 'name code professor faculty department')
+      .populate('student', 'firstName lastName studentId')
+      .sort({ createdAt: -1 });
+
+    // Reviewers only see the appeals of courses they are responsible for
+    const visible = [];
+    for (const appeal of appeals) {
+      if (req.user.role === 'student' || await hasPermission(req, 'grade:review_appeal', { course: appeal.course })) {
+        visible.push(appeal);
+      }
+    }
+
+    res.json({
+      success: true,
+      count: visible.length,
+      appeals: visible
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/appeals/grade/:gradeId/window
+// @desc    Get the appeal deadline of a published grade
+// @access  Private (Student)
+router.get('/grade/:gradeId/window', protect, authorize('student'), async (req, res) => {
+  try {
+    const grade = await Grade.findOne({ _id: req.params.gradeId, student: req.user.id, isPublished: true });
+    if (!grade) {
+      return res.status(404).json({ error: 'Grade not found' });
+    }
+
+    const deadline = await getAppealDeadline(grade);
+
+    res.json({
+      success: true,
+      windowDays: APPEAL_WINDOW_DAYS,
+      deadline,
+      isOpen: Boolean(deadline) && deadline >= new Date()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/appeals/:id
+// @desc    Get single appeal
+// @access  Private (Student themselves or grade:review_appeal)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const appeal = await GradeAppeal.findById(req.params.id)
+      .populate('course', 'name code professor faculty department')
+      .populate('student', 'firstName lastName studentId')
+      .populate('consultation.scheduledBy', 'firstName lastName')
+      .populate('resolution.resolvedBy', 'firstName lastName');
+
+    if (!appeal) {
+      return res.status(404).json({ error: 'Appeal not found' });
+    }
+
+    const isOwner = appeal.student._id.toString() === req.user.id;
+    if (!isOwner && !(await hasPermission(req, 'grade:review_appeal', { course: appeal.course }))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    res.json({
+      success: true,
+      appeal
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/appeals
+// @desc    Contest an assessment of a published grade
+// @access  Private (Student)
+router.post('/', protect, authorize('student'), async (req, res) => {
+  try {
+    const { grade: gradeId, assessment, reason } = req.body;
+
+    const grade = await Grade.findById(gradeId).populate('course');
+    if (!grade) {
+      return res.status(404).json({ error: 'Grade not found' });
+    }
+
+    const error = await checkAppealable(grade, assessment, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const appeal = await openAppeal(grade, { assessment, reason }, req.user.id, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      appeal
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/appeals/:id/consultation
+// @desc    Offer the student a copy consultation slot
+// @access  Private (grade:review_appeal)
+router.put('/:id/consultation', protect, requirePermission('grade:review_appeal', loadAppeal('params.id')), async (req, res) => {
+  try {
+    const { appeal } = req.context;
+
+    const error = await scheduleConsultation(appeal, req.body, req.user.id, req.app.get('io'));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      success: true,
+      appeal
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/appeals/:id/resolve
+// @desc    Accept (with the corrected score) or reject an appeal
+// @access  Private (grade:review_appeal)
+router.put('/:id/resolve', protect, requirePermission('grade:review_appeal', loadAppeal('params.id')), async (req, res) => {
+  try {
+    const { appeal } = req.context;
+
+    const error = await resolveAppeal(appeal, req.body, auditContext(req, 'assessment_update'), req.app.get('io'));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      success: true,
+      appeal
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/appeals/:id
+// @desc    Withdraw an open appeal
+// @access  Private (Student themselves)
+router.delete('/:id', protect, authorize('student'), async (req, res) => {
+  try {
+    const appeal = await GradeAppeal.findOne({ _id: req.params.id, student: req.user.id });
+    if (!appeal) {
+      return res.status(404).json({ error: 'Appeal not found' });
+    }
+    if (!appeal.isOpen()) {
+      return res.status(400).json({ error: `Cannot withdraw a ${appeal.status} appeal` });
+    }
+
+    appeal.status = 'withdrawn';
+    await appeal.save();
+
+    res.json({
+      success: true,
+      message: 'Appeal withdrawn successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
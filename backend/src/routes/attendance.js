@@ -2,8 +2,81 @@
 import express from 'express';
 const  router = express.Router();
 import Attendance from '../models/Attendance';
-import Course from '../models/Course';
+import AttendanceSession from '../models/AttendanceSession';
+import AbsenceStanding from '../models/AbsenceStanding';
+import CheckInSession from '../models/CheckInSession';
+import AuditLog from '../models/AuditLog';
 import { protect, authorize } from '../middleware/auth';
+import { requirePermission, loadCourse, loadAttendance, loadAttendanceSession, loadCheckInSession } from '../middleware/permissions';
+import User from '../models/User';
+import Course from '../models/Course';
+import { hasPermission } from '../utils/permissionService';
+import { getStaffRestrictions } from '../utils/courseStaff';
+import { getSessionStudents } from '../utils/courseGroups';
+import { openCheckIn, getCheckInCode, closeCheckIn, checkIn } from '../utils/checkIn';
+import {
+  ATTENDANCE_STATUSES,
+  startOfDay,
+  findScheduleEntries,
+  findOrCreateSession,
+  holdSession,
+  cancelSession,
+  rescheduleSession,
+  upsertSessionAttendance,
+  getStudentAttendanceStats,
+  getCourseAttendanceStats
+} from '../utils/attendanceSession';
+import { getThresholds } from '../utils/absenceThresholds';
+import { evaluateCourseAbsences, getStandingsBySessionType } from '../utils/absenceStanding';
+
+// TD/TP chargés only record attendance for the session types they teach
+const checkSessionType = (req, course, ...sessionTypes) => {
+  const restrictions = getStaffRestrictions(req.user, course);
+  if (restrictions && sessionTypes.some(type => !restrictions.sessionTypes.includes(type))) {
+    return `You can only record attendance for ${restrictions.sessionTypes.join(', ')} sessions of this course`;
+  }
+  return null;
+};
+
+// Resolves the schedule entry attendance is taken for, with the students of
+// its section or group
+const resolveSession = (req, sessionId) => {
+  const { course } = req.context;
+  const entry = course.schedule.id(sessionId);
+
+  if (!entry) {
+    return { status: 400, error: 'Session is not part of the course schedule' };
+  }
+
+  const restrictions = getStaffRestrictions(req.user, course);
+  if (restrictions && !restrictions.sessions.includes(entry._id.toString())) {
+    return { status: 403, error: 'You do not teach this session' };
+  }
+
+  return { entry, students: getSessionStudents(course, entry) };
+};
+
+// Clients written before attendance sessions send a session type instead
+// of the schedule entry. The entry is inferred from the day and the
+// students, and must be the only match.
+const resolveSessionByType = (req, { sessionType, date, students }) => {
+  const { course } = req.context;
+  if (!sessionType) {
+    return { status: 400, error: 'A schedule session or a session type is required' };
+  }
+
+  const restrictions = getStaffRestrictions(req.user, course);
+  const entries = findScheduleEntries(course, { type: sessionType, date, students })
+    .filter(entry => !restrictions || restrictions.sessions.includes(entry._id.toString()));
+
+  if (entries.length === 0) {
+    return { status: 400, error: `No ${sessionType} session of this course takes place that day for these students` };
+  }
+  if (entries.length > 1) {
+    return { status: 400, error: `Several ${sessionType} sessions match, send the schedule session` };
+  }
+  return resolveSession(req, entries[0]._id);
+};
 
 // @route   GET /api/attendance
 // @desc    Get attendance records
@@ -72,46 +145,74 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // @route   POST /api/attendance
-// @desc    Mark attendance
-// @access  Private (Professor/Admin)
-router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
+// @desc    Mark attendance (body: student, course, date, status, remarks and
+//          session, the schedule entry). sessionType is still accepted in
+//          place of session when a single entry of that type matches.
+// @access  Private (attendance:write)
+router.post('/', protect, requirePermission('attendance:write', loadCourse('body.course')), async (req, res) => {
   try {
-    const { student, course, date, status, sessionType, remarks } = req.body;
+    const { student, course, date, status, remarks, session, sessionType: requestedType } = req.body;
 
-    // Verify course belongs to professor
-    if (req.user.role === 'professor') {
-      const courseDoc = await Course.findById(course);
-      if (!courseDoc || courseDoc.professor.toString() !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized' });
-      }
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: 'A valid date is required' });
+    }
+    if (status === 'Excused') {
+      return res.status(400).json({ error: 'Absences are excused by approving a justification' });
+    }
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of ${ATTENDANCE_STATUSES.join(', ')}` });
     }
 
-    // Check if attendance already exists for this date
+    const resolved = session
+      ? resolveSession(req, session)
+      : resolveSessionByType(req, { sessionType: requestedType, date, students: [student] });
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    if (!resolved.students.includes(String(student))) {
+      return res.status(400).json({ error: 'Student does not attend this session' });
+    }
+    const sessionType = resolved.entry.type;
+
+    const sessionError = checkSessionType(req, req.context.course, sessionType);
+    if (sessionError) {
+      return res.status(403).json({ error: sessionError });
+    }
+
+    const held = await holdSession(req.context.course, resolved.entry, date, req.user.id);
+    if (held.error) {
+      return res.status(400).json({ error: held.error });
+    }
+
+    // Check if attendance already exists for this session
     const existingAttendance = await Attendance.findOne({
       student,
-      course,
-      date: {
-        $gte: new Date(new Date(date).setHours(0, 0, 0, 0)),
-        $lt: new Date(new Date(date).setHours(23, 59, 59, 999))
-      },
-      sessionType
+      attendanceSession: held.session._id
     });
 
+    const alreadyMarked = { error: 'Attendance already marked for this student, course, and session' };
     if (existingAttendance) {
-      return res.status(400).json({ 
-        error: 'Attendance already marked for this student, course, and session' 
-      });
+      return res.status(400).json(alreadyMarked);
     }
 
-    const attendance = await Attendance.create({
-      student,
-      course,
-      date,
-      status,
-      sessionType,
-      remarks,
-      recordedBy: req.user.id
-    });
+    let attendance;
+    try {
+      attendance = await Attendance.create({
+        student,
+        course,
+        date,
+        status,
+        sessionType,
+        session: resolved.entry._id,
+        attendanceSession: held.session._id,
+        remarks,
+        recordedBy: req.user.id
+      });
+    } catch (error) {
+      // A concurrent request recorded the student first
+      if (error.code !== 11000) throw error;
+      return res.status(400).json(alreadyMarked);
+    }
 
     await attendance.populate('student', 'firstName lastName studentId');
     await attendance.populate('course', 'name code');
@@ -130,35 +231,75 @@ router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
 });
 
 // @route   POST /api/attendance/bulk
-// @desc    Mark attendance for multiple students
-// @access  Private (Professor/Admin)
-router.post('/bulk', protect, authorize('professor', 'admin'), async (req, res) => {
+// @desc    Record the register of a session (body: course, session, date,
+//          students: [{ studentId, status, remarks }]). Re-submitting it
+//          updates the existing records; each row gets a result.
+//          sessionType is still accepted in place of session when a single
+//          entry of that type matches.
+// @access  Private (attendance:write)
+router.post('/bulk', protect, requirePermission('attendance:write', loadCourse('body.course')), async (req, res) => {
   try {
-    const { students, course, date, sessionType } = req.body;
+    const { students, date, session, sessionType: requestedType } = req.body;
 
-    const courseDoc = await Course.findById(course);
-    if (!courseDoc) {
-      return res.status(404).json({ error: 'Course not found' });
+    if (!Array.isArray(students) || students.length === 0) {
+      return res.status(400).json({ error: 'students must be a non-empty list' });
+    }
+    if (!date || Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: 'A valid date is required' });
     }
 
-    if (req.user.role === 'professor' && courseDoc.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const resolved = session
+      ? resolveSession(req, session)
+      : resolveSessionByType(req, { sessionType: requestedType, date, students: students.map(row => row?.studentId) });
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    const sessionType = resolved.entry.type;
+
+    const sessionError = checkSessionType(req, req.context.course, sessionType);
+    if (sessionError) {
+      return res.status(403).json({ error: sessionError });
     }
 
-    const attendanceRecords = students.map(item => ({
-      student: item.studentId,
-      course,
-      date,
-      status: item.status,
-      sessionType,
-      recordedBy: req.user.id
-    }));
+    const held = await holdSession(req.context.course, resolved.entry, date, req.user.id);
+    if (held.error) {
+      return res.status(400).json({ error: held.error });
+    }
 
-    const attendance = await Attendance.insertMany(attendanceRecords);
+    const { results, summary } = await upsertSessionAttendance(req.context.course, held.session, students, {
+      students: resolved.students,
+      recordedBy: req.user.id,
+      date
+    });
 
-    res.status(201).json({
+    const changed = results.filter(r => r.action === 'created' || r.action === 'updated');
+    const attendance = await Attendance.find({
+      attendanceSession: held.session._id,
+      student: { $in: results.filter(r => r.action !== 'rejected').map(r => r.studentId) }
+    })
+      .populate('student', 'firstName lastName studentId')
+      .populate('course', 'name code');
+
+    // Emit socket event for real-time update
+    const io = req.app.get('io');
+    changed.forEach(result => {
+      const record = attendance.find(a => a.student._id.toString() === result.studentId);
+      if (record) {
+        result.attendance = record._id;
+        io.to(`student_${result.studentId}`).emit('attendance_marked', record);
+      }
+    });
+    results.forEach(result => {
+      if (result.action === 'unchanged') {
+        result.attendance = attendance.find(a => a.student._id.toString() === result.studentId)?._id;
+      }
+    });
+
+    res.status(summary.created > 0 ? 201 : 200).json({
       success: true,
-      count: attendance.length,
+      session: held.session,
+      summary,
+      results,
       attendance
     });
   } catch (error) {
@@ -180,43 +321,24 @@ router.get('/student/:studentId', protect, async (req, res) => {
 
     const attendance = await Attendance.find(query)
       .populate('course', 'name code')
+      .populate('justification', 'status reason review.comment createdAt')
       .sort({ date: -1 });
 
-    // Calculate statistics
-    const stats = {
-      total: attendance.length,
-      present: attendance.filter(a => a.status === 'Present').length,
-      absent: attendance.filter(a => a.status === 'Absent').length,
-      late: attendance.filter(a => a.status === 'Late').length,
-      excused: attendance.filter(a => a.status === 'Excused').length
-    };
+    // Rates against the sessions held for the student's groups
+    const { stats, byCourse } = await getStudentAttendanceStats(req.params.studentId, { course: req.query.course });
 
-    stats.attendanceRate = stats.total > 0 
-      ? ((stats.present + stats.late) / stats.total * 100).toFixed(2)
-      : 0;
-
-    // Get by course
-    const byCourse = {};
-    attendance.forEach(a => {
-      const courseId = a.course._id.toString();
-      if (!byCourse[courseId]) {
-        byCourse[courseId] = {
-          course: a.course,
-          total: 0,
-          present: 0,
-          absent: 0,
-          late: 0,
-          excused: 0
-        };
-      }
-      byCourse[courseId].total++;
-      byCourse[courseId][a.status.toLowerCase()]++;
-    });
+    // Warnings and exclusions, see utils/absenceStanding.js
+    const standings = await AbsenceStanding.find({
+      student: req.params.studentId,
+      stage: { $ne: 'ok' },
+      ...(req.query.course && { course: req.query.course })
+    }).populate('course', 'name code');
 
     res.json({
       success: true,
       stats,
-      byCourse: Object.values(byCourse),
+      byCourse,
+      standings,
       attendance
     });
   } catch (error) {
@@ -226,20 +348,20 @@ router.get('/student/:studentId', protect, async (req, res) => {
 
 // @route   GET /api/attendance/course/:courseId
 // @desc    Get attendance for a course
-// @access  Private (Professor/Admin)
-router.get('/course/:courseId', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (attendance:read)
+router.get('/course/:courseId', protect, requirePermission('attendance:read', loadCourse('params.courseId')), async (req, res) => {
   try {
-    const course = await Course.findById(req.params.courseId);
-
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-
-    if (req.user.role === 'professor' && course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
     let query = { course: req.params.courseId };
+    let students;
+    if (req.query.session) query.session = req.query.session;
+    if (req.query.group) {
+      const group = req.context.course.groups.id(req.query.group);
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+      students = group.students;
+      query.student = { $in: students };
+    }
     if (req.query.date) {
       const date = new Date(req.query.date);
       query.date = {
@@ -252,19 +374,12 @@ router.get('/course/:courseId', protect, authorize('professor', 'admin'), async
       .populate('student', 'firstName lastName studentId')
       .sort({ date: -1, 'student.lastName': 1 });
 
-    // Calculate statistics
-    const stats = {
-      total: attendance.length,
-      present: attendance.filter(a => a.status === 'Present').length,
-      absent: attendance.filter(a => a.status === 'Absent').length,
-      late: attendance.filter(a => a.status === 'Late').length,
-      excused: attendance.filter(a => a.status === 'Excused').length,
-      attendanceRate: 0
-    };
-
-    stats.attendanceRate = stats.total > 0
-      ? ((stats.present + stats.late) / stats.total * 100).toFixed(2)
-      : 0;
+    // Rates against the sessions held, not the records entered
+    const stats = await getCourseAttendanceStats(req.context.course, {
+      slot: req.query.session,
+      students,
+      date: query.date
+    });
 
     res.json({
       success: true,
@@ -277,22 +392,270 @@ router.get('/course/:courseId', protect, authorize('professor', 'admin'), async
   }
 });
 
+// @route   GET /api/attendance/course/:courseId/roster
+// @desc    Get the students expected at a schedule session
+// @access  Private (attendance:read)
+router.get('/course/:courseId/roster', protect, requirePermission('attendance:read', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const resolved = resolveSession(req, req.query.session);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const students = await User.find({ _id: { $in: resolved.students } })
+      .select('firstName lastName studentId')
+      .sort({ lastName: 1, firstName: 1 });
+
+    // Students excluded from this type of session are flagged
+    const standings = await getStandingsBySessionType(req.context.course, resolved.entry.type);
+
+    res.json({
+      success: true,
+      session: resolved.entry,
+      count: students.length,
+      students: students.map(student => {
+        const standing = standings.get(student._id.toString());
+        return {
+          ...student.toObject(),
+          absences: standing ? { unjustified: standing.unjustified, total: standing.total, stage: standing.stage } : null,
+          excluded: standing?.stage === 'excluded'
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/attendance/course/:courseId/at-risk
+// @desc    Get the students warned or excluded for absences in a course
+// @access  Private (attendance:read)
+router.get('/course/:courseId/at-risk', protect, requirePermission('attendance:read', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const query = { course: course._id, stage: { $in: ['warning', 'excluded'] } };
+    if (req.query.sessionType) query.sessionType = req.query.sessionType;
+
+    // TD/TP chargés see the session types they teach
+    const restrictions = getStaffRestrictions(req.user, course);
+    if (restrictions) {
+      query.sessionType = { $in: restrictions.sessionTypes.filter(t => !req.query.sessionType || t === req.query.sessionType) };
+    }
+
+    const standings = await AbsenceStanding.find(query)
+      .populate('student', 'firstName lastName studentId email')
+      .sort({ stage: 1, unjustified: -1, total: -1 });
+
+    res.json({
+      success: true,
+      thresholds: getThresholds(course),
+      count: standings.length,
+      excludedCount: standings.filter(s => s.stage === 'excluded').length,
+      students: standings
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/attendance/course/:courseId/absences/evaluate
+// @desc    Re-evaluate absence warnings and exclusions of a course now
+// @access  Private (attendance:write)
+router.post('/course/:courseId/absences/evaluate', protect, requirePermission('attendance:write', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const result = await evaluateCourseAbsences(req.context.course, req.app.get('io'));
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/attendance/course/:courseId/sessions
+// @desc    Get the sessions of a course with the number of records taken
+// @access  Private (attendance:read)
+router.get('/course/:courseId/sessions', protect, requirePermission('attendance:read', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const query = { course: course._id };
+    if (req.query.session) query.slot = req.query.session;
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      query.date = {};
+      if (req.query.from) query.date.$gte = startOfDay(req.query.from);
+      if (req.query.to) query.date.$lte = startOfDay(req.query.to);
+    }
+
+    const sessions = await AttendanceSession.find(query)
+      .populate('instructor', 'firstName lastName')
+      .sort({ date: -1, startTime: 1 });
+
+    const counts = await Attendance.aggregate([
+      { $match: { attendanceSession: { $in: sessions.map(s => s._id) } } },
+      { $group: { _id: '$attendanceSession', recorded: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        expected: getSessionStudents(course, session).length,
+        recorded: counts.find(c => c._id.equals(session._id))?.recorded || 0
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/attendance/sessions
+// @desc    Plan a session of a schedule entry, e.g. to cancel it ahead of time
+// @access  Private (attendance:write)
+router.post('/sessions', protect, requirePermission('attendance:write', loadCourse('body.course')), async (req, res) => {
+  try {
+    const resolved = resolveSession(req, req.body.session);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    if (!req.body.date || Number.isNaN(new Date(req.body.date).getTime())) {
+      return res.status(400).json({ error: 'A valid date is required' });
+    }
+
+    const session = await findOrCreateSession(req.context.course, resolved.entry, req.body.date, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/attendance/sessions/:id
+// @desc    Get a session with its records and the students never recorded
+// @access  Private (attendance:read)
+router.get('/sessions/:id', protect, requirePermission('attendance:read', loadAttendanceSession('params.id')), async (req, res) => {
+  try {
+    const { attendanceSession: session, course } = req.context;
+
+    const attendance = await Attendance.find({ attendanceSession: session._id })
+      .populate('student', 'firstName lastName studentId')
+      .populate('recordedBy', 'firstName lastName');
+    const recorded = new Set(attendance.map(a => a.student._id.toString()));
+
+    const unrecorded = await User.find({
+      _id: { $in: getSessionStudents(course, session).filter(id => !recorded.has(id)) }
+    })
+      .select('firstName lastName studentId')
+      .sort({ lastName: 1, firstName: 1 });
+
+    res.json({
+      success: true,
+      session,
+      attendance,
+      unrecorded
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/attendance/sessions/:id/cancel
+// @desc    Cancel a session before attendance is taken and notify its students
+// @access  Private (attendance:write)
+router.put('/sessions/:id/cancel', protect, requirePermission('attendance:write', loadAttendanceSession('params.id')), async (req, res) => {
+  try {
+    const { attendanceSession: session } = req.context;
+    const resolved = resolveSession(req, session.slot);
+    if (resolved.status === 403) {
+      return res.status(403).json({ error: resolved.error });
+    }
+
+    const error = await cancelSession(session, req.body.reason, req.user.id, req.app.get('io'));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/attendance/sessions/:id/reschedule
+// @desc    Move a session to another day, time or room (body: date, startTime, endTime, room)
+// @access  Private (attendance:write)
+router.put('/sessions/:id/reschedule', protect, requirePermission('attendance:write', loadAttendanceSession('params.id')), async (req, res) => {
+  try {
+    const { attendanceSession: session } = req.context;
+    const resolved = resolveSession(req, session.slot);
+    if (resolved.status === 403) {
+      return res.status(403).json({ error: resolved.error });
+    }
+
+    const { date, startTime, endTime, room } = req.body;
+    if (date && Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    const time = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+    if ((startTime && !time.test(startTime)) || (endTime && !time.test(endTime))) {
+      return res.status(400).json({ error: 'Times must look like 08:00' });
+    }
+
+    const error = await rescheduleSession(session, { date, startTime, endTime, room }, req.app.get('io'));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance record
-// @access  Private (Professor/Admin)
-router.put('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (attendance:write)
+router.put('/:id', protect, requirePermission('attendance:write', loadAttendance('params.id')), async (req, res) => {
   try {
-    let attendance = await Attendance.findById(req.params.id).populate('course');
+    const { attendance: existing, course } = req.context;
+    const sessionError = checkSessionType(req, course, existing.sessionType);
+    if (sessionError) {
+      return res.status(403).json({ error: sessionError });
+    }
 
-    if (!attendance) {
-      return res.status(404).json({ error: 'Attendance record not found' });
+    const restrictions = getStaffRestrictions(req.user, course);
+    if (restrictions && !restrictions.sessions.includes(existing.session?.toString())) {
+      return res.status(403).json({ error: 'You do not teach this session' });
     }
 
-    if (req.user.role === 'professor' && attendance.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    // Records stay attached to their student, course and session; only
+    // the status and remarks change. Absences are excused through
+    // justifications.
+    const { status, remarks } = req.body;
+    if (status === 'Excused') {
+      return res.status(400).json({ error: 'Absences are excused by approving a justification' });
+    }
+    if (existing.status === 'Excused' && status === 'Absent') {
+      return res.status(400).json({ error: 'Absence already excused' });
     }
 
-    attendance = await Attendance.findByIdAndUpdate(req.params.id, req.body, {
+    const updates = {};
+    if (status !== undefined) updates.status = status;
+    if (remarks !== undefined) updates.remarks = remarks;
+
+    const attendance = await Attendance.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     })
@@ -310,20 +673,10 @@ router.put('/:id', protect, authorize('professor', 'admin'), async (req, res) =>
 
 // @route   DELETE /api/attendance/:id
 // @desc    Delete attendance record
-// @access  Private (Professor/Admin)
-router.delete('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (attendance:delete)
+router.delete('/:id', protect, requirePermission('attendance:delete', loadAttendance('params.id')), async (req, res) => {
   try {
-    const attendance = await Attendance.findById(req.params.id).populate('course');
-
-    if (!attendance) {
-      return res.status(404).json({ error: 'Attendance record not found' });
-    }
-
-    if (req.user.role === 'professor' && attendance.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    await attendance.deleteOne();
+    await req.context.attendance.deleteOne();
 
     res.json({
       success: true,
@@ -335,9 +688,9 @@ router.delete('/:id', protect, authorize('professor', 'admin'), async (req, res)
 });
 
 // @route   GET /api/attendance/date/:date
-// @desc    Get attendance for specific date
-// @access  Private (Professor/Admin)
-router.get('/date/:date', protect, authorize('professor', 'admin'), async (req, res) => {
+// @desc    Get attendance for specific date, in the courses the user may read
+// @access  Private (attendance:read)
+router.get('/date/:date', protect, requirePermission('attendance:read'), async (req, res) => {
   try {
     const date = new Date(req.params.date);
     const query = {
@@ -351,6 +704,15 @@ router.get('/date/:date', protect, authorize('professor', 'admin'), async (req,
       query.course = req.query.course;
     }
 
+    const courses = await Course.find({ _id: { $in: await Attendance.distinct('course', query) } });
+    const readable = [];
+    for (const course of courses) {
+      if (await hasPermission(req, 'attendance:read', { course })) {
+        readable.push(course._id);
+      }
+    }
+    query.course = { $in: readable };
+
     const attendance = await Attendance.find(query)
       .populate('student', 'firstName lastName studentId')
       .populate('course', 'name code')
@@ -367,4 +729,153 @@ router.get('/date/:date', protect, authorize('professor', 'admin'), async (req,
   }
 });
 
+// @route   POST /api/attendance/check-in/sessions
+// @desc    Open a QR check-in for a schedule entry of a course
+// @access  Private (attendance:write)
+router.post('/check-in/sessions', protect, requirePermission('attendance:write', loadCourse('body.course')), async (req, res) => {
+  try {
+    const resolved = resolveSession(req, req.body.session);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const sessionError = checkSessionType(req, req.context.course, resolved.entry.type);
+    if (sessionError) {
+      return res.status(403).json({ error: sessionError });
+    }
+
+    const { error, session } = await openCheckIn(req.context.course, resolved.entry, req.user.id, {
+      graceMinutes: req.body.graceMinutes,
+      durationMinutes: req.body.durationMinutes
+    });
+    if (error) {
+      return res.status(409).json({ error, checkInSession: session });
+    }
+
+    const withSecret = await CheckInSession.findById(session._id).select('+secret');
+
+    res.status(201).json({
+      success: true,
+      checkInSession: session,
+      expectedCount: resolved.students.length,
+      ...(await getCheckInCode(withSecret))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/attendance/check-in/sessions/:id
+// @desc    Get a check-in with the students who checked in so far
+// @access  Private (attendance:read)
+router.get('/check-in/sessions/:id', protect, requirePermission('attendance:read', loadCheckInSession('params.id')), async (req, res) => {
+  try {
+    let { checkInSession } = req.context;
+    if (checkInSession.status === 'open' && checkInSession.closesAt <= new Date()) {
+      checkInSession = await closeCheckIn(checkInSession._id, req.app.get('io')) || checkInSession;
+    }
+
+    const attendance = await Attendance.find({ checkInSession: checkInSession._id })
+      .populate('student', 'firstName lastName studentId')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      checkInSession,
+      count: attendance.length,
+      attendance
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/attendance/check-in/sessions/:id/code
+// @desc    Get the current rotating code (and QR image) of an open check-in
+// @access  Private (attendance:write)
+router.get('/check-in/sessions/:id/code', protect, requirePermission('attendance:write', loadCheckInSession('params.id')), async (req, res) => {
+  try {
+    const session = await CheckInSession.findById(req.params.id).select('+secret');
+    if (session.status !== 'open' || session.closesAt <= new Date()) {
+      return res.status(400).json({ error: 'This check-in is closed' });
+    }
+
+    res.json({
+      success: true,
+      ...(await getCheckInCode(session))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/attendance/check-in/sessions/:id/close
+// @desc    Close a check-in and mark the remaining students Absent
+// @access  Private (attendance:write)
+router.post('/check-in/sessions/:id/close', protect, requirePermission('attendance:write', loadCheckInSession('params.id')), async (req, res) => {
+  try {
+    const session = await closeCheckIn(req.params.id, req.app.get('io'));
+    if (!session) {
+      return res.status(400).json({ error: 'This check-in is already closed' });
+    }
+
+    res.json({
+      success: true,
+      checkInSession: session,
+      absentCount: session.absentCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/attendance/check-in
+// @desc    Check in by scanning the code shown in class (body: code, deviceId)
+// @access  Private (Student)
+router.post('/check-in', protect, authorize('student'), async (req, res) => {
+  try {
+    const { status, error, attendance } = await checkIn(req.body.code, req.user, req.body.deviceId, req.app.get('io'));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json({
+      success: true,
+      attendance
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/attendance/check-in/device/:studentId
+// @desc    Release the device a student checks in from
+// @access  Private (Admin)
+router.delete('/check-in/device/:studentId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const student = await User.findOneAndUpdate(
+      { _id: req.params.studentId, role: 'student' },
+      { $unset: { checkInDevice: 1 } }
+    );
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    await AuditLog.create({
+      actor: req.user.id,
+      action: 'check_in_device_reset',
+      targetUser: student._id,
+      reason: req.body?.reason,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Check-in device released'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,22 +1,51 @@
 import express from "express";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import { protect } from "../middleware/authMiddleware.js";
+import Session from "../models/Session.js";
+import Invitation from "../models/Invitation.js";
+import LoginHistory from "../models/LoginHistory.js";
+import { protect, authorize } from "../middleware/auth.js";
+import {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} from "../utils/tokenService.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendWelcomeEmail
+} from "../utils/emailService.js";
+import { validateMatricule } from "../utils/matricule.js";
+import { isTwoFactorRequired, generateChallengeToken } from "../utils/twoFactor.js";
+import {
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  registerSuccessfulLogin
+} from "../utils/loginSecurity.js";
 
 const router = express.Router();
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
-};
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', async (req, res) => {
   try {
-    const { studentId, email, password, firstName, lastName, faculty, department, level, role } = req.body;
+    const { studentId, email, password, firstName, lastName, faculty, department, level, invitationCode } = req.body;
+
+    if (!email || !password || !studentId) {
+      return res.status(400).json({ error: 'Please provide student ID, email and password' });
+    }
+
+    // Privileged roles can only come from an invitation; everyone else is a student
+    if (!invitationCode) {
+      const matricule = validateMatricule(studentId, level);
+      if (!matricule.valid) {
+        return res.status(400).json({ error: matricule.error });
+      }
+    }
 
     // Check if user exists
     let user = await User.findOne({ $or: [{ email }, { studentId }] });
@@ -24,24 +53,77 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'User already exists' });
     }
 
+    // Claim the invitation atomically so a code cannot be used twice
+    let invitation = null;
+    if (invitationCode) {
+      invitation = await Invitation.findOneAndUpdate(
+        {
+          codeHash: hashToken(invitationCode.trim().toUpperCase()),
+          email: email.toLowerCase(),
+          status: 'pending',
+          expiresAt: { $gt: new Date() }
+        },
+        { status: 'accepted', acceptedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(400).json({ error: 'Invitation code is invalid or has expired' });
+      }
+    }
+
     // Create user
-    user = await User.create({
-      studentId,
-      email,
-      password,
-      firstName,
-      lastName,
-      faculty,
-      department,
-      level,
-      role: role || 'student'
-    });
+    try {
+      user = await User.create({
+        studentId,
+        email,
+        password,
+        firstName,
+        lastName,
+        faculty: faculty || invitation?.faculty,
+        department: department || invitation?.department,
+        level: invitation ? undefined : level,
+        role: invitation ? invitation.role : 'student',
+        // The invitation code was delivered to this address
+        isEmailVerified: Boolean(invitation)
+      });
+    } catch (error) {
+      if (invitation) {
+        await Invitation.updateOne(
+          { _id: invitation._id },
+          { status: 'pending', $unset: { acceptedAt: 1 } }
+        );
+      }
+      throw error;
+    }
 
-    const token = generateToken(user._id);
+    if (invitation) {
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+
+      return res.status(201).json({
+        success: true,
+        message: 'Account created, you can now log in',
+        user: {
+          id: user._id,
+          studentId: user.studentId,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          faculty: user.faculty,
+          department: user.department
+        }
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user.email, user.firstName, verificationToken);
 
     res.status(201).json({
       success: true,
-      token,
+      message: 'Account created. Please check your email to verify your account before logging in.',
       user: {
         id: user._id,
         studentId: user.studentId,
@@ -73,24 +155,64 @@ router.post('/login', async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordLoginAttempt(req, { email, success: false, failureReason: 'unknown_user' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { user, success: false, failureReason: 'account_locked' });
+      return res.status(423).json({
+        error: 'Account temporarily locked after too many failed attempts',
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    if (!user.isActive) {
+      await recordLoginAttempt(req, { user, success: false, failureReason: 'account_disabled' });
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      const lockedUntil = await registerFailedLogin(user, req, 'invalid_password');
+      if (lockedUntil) {
+        return res.status(423).json({
+          error: 'Account temporarily locked after too many failed attempts',
+          lockedUntil
+        });
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (!user.isEmailVerified) {
+      return res.status(403).json({
+        error: 'Please verify your email before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Second step required before a session is issued
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
     // Update last login
     user.lastLogin = Date.now();
     await user.save();
+    await registerSuccessfulLogin(user, req);
 
-    const token = generateToken(user._id);
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
-      token,
+      token: accessToken,
+      refreshToken,
+      twoFactorSetupRequired: isTwoFactorRequired(user),
       user: {
         id: user._id,
         studentId: user.studentId,
@@ -109,6 +231,313 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm email address with the emailed token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    await sendWelcomeEmail(user.email, user.firstName);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully, you can now log in'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Please provide an email' });
+    }
+
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the account exists
+    if (user && !user.isEmailVerified) {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user.email, user.firstName, verificationToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Please provide an email' });
+    }
+
+    const user = await User.findOne({ email, isActive: true });
+
+    // Same response whether or not the account exists
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user.email, user.firstName, resetToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the emailed reset token
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Please provide token and new password' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // The reset link was received by email, which proves ownership
+    user.isEmailVerified = true;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_changed', req.app.get('io'));
+    await sendPasswordChangedEmail(user.email, user.firstName);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in again'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout', req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) of current user
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(s => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ipAddress: s.ipAddress,
+        lastSeenAt: s.lastSeenAt,
+        createdAt: s.createdAt,
+        current: s._id.toString() === req.authSession._id.toString()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user.id, 'user_revoked', req.app.get('io'), req.authSession._id);
+
+    res.json({
+      success: true,
+      count,
+      message: 'Other sessions revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a specific session
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'user_revoked', req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Get login history of current user
+// @access  Private
+router.get('/login-history', protect, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const history = await LoginHistory.find({ user: req.user.id })
+      .select('-deviceHash')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: history.length,
+      history
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/auth/login-history/all
+// @desc    Get login history of all users, with filters
+// @access  Private (Admin)
+router.get('/login-history/all', protect, authorize('admin'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.user) query.user = req.query.user;
+    if (req.query.email) query.email = req.query.email;
+    if (req.query.ipAddress) query.ipAddress = req.query.ipAddress;
+    if (req.query.success !== undefined) query.success = req.query.success === 'true';
+    if (req.query.newDevice !== undefined) query.isNewDevice = req.query.newDevice === 'true';
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [history, total] = await Promise.all([
+      LoginHistory.find(query)
+        .populate('user', 'firstName lastName email role')
+        .select('-deviceHash')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LoginHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: history.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      history
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -166,6 +595,9 @@ router.put('/change-password', protect, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await revokeUserSessions(user._id, 'password_changed', req.app.get('io'), req.authSession._id);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -4,6 +4,7 @@ const router = express.Router();
 import Club from '../models/Club';
 import User from '../models/User';
 import { protect } from '../middleware/auth';
+import { requirePermission, loadClub } from '../middleware/permissions';
 
 // @route   GET /api/clubs
 // @desc    Get all clubs
@@ -85,8 +86,8 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/clubs
 // @desc    Create a new club
-// @access  Private (Student/Admin)
-router.post('/', protect, async (req, res) => {
+// @access  Private (club:create)
+router.post('/', protect, requirePermission('club:create'), async (req, res) => {
   try {
     const clubData = {
       ...req.body,
@@ -117,21 +118,10 @@ router.post('/', protect, async (req, res) => {
 
 // @route   PUT /api/clubs/:id
 // @desc    Update club
-// @access  Private (President/Admin)
-router.put('/:id', protect, async (req, res) => {
+// @access  Private (club:update)
+router.put('/:id', protect, requirePermission('club:update', loadClub('params.id')), async (req, res) => {
   try {
-    let club = await Club.findById(req.params.id);
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Check if user is president or admin
-    if (club.president.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    club = await Club.findByIdAndUpdate(req.params.id, req.body, {
+    const club = await Club.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
     })
@@ -149,21 +139,10 @@ router.put('/:id', protect, async (req, res) => {
 
 // @route   DELETE /api/clubs/:id
 // @desc    Delete club
-// @access  Private (President/Admin)
-router.delete('/:id', protect, async (req, res) => {
+// @access  Private (club:delete)
+router.delete('/:id', protect, requirePermission('club:delete', loadClub('params.id')), async (req, res) => {
   try {
-    const club = await Club.findById(req.params.id);
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Check if user is president or admin
-    if (club.president.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    await club.deleteOne();
+    await req.context.club.deleteOne();
 
     res.json({
       success: true,
@@ -255,20 +234,10 @@ router.post('/:id/leave', protect, async (req, res) => {
 
 // @route   POST /api/clubs/:id/events
 // @desc    Add club event
-// @access  Private (President/Officers/Admin)
-router.post('/:id/events', protect, async (req, res) => {
+// @access  Private (club:manage_events)
+router.post('/:id/events', protect, requirePermission('club:manage_events', loadClub('params.id')), async (req, res) => {
   try {
-    const club = await Club.findById(req.params.id);
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Check if user has permission
-    const member = club.members.find(m => m.user.toString() === req.user.id);
-    if (!member || (member.role !== 'President' && member.role !== 'Officer' && req.user.role !== 'admin')) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const { club } = req.context;
 
     club.events.push(req.body);
     await club.save();
@@ -284,20 +253,10 @@ router.post('/:id/events', protect, async (req, res) => {
 
 // @route   PUT /api/clubs/:clubId/events/:eventId
 // @desc    Update club event
-// @access  Private (President/Officers/Admin)
-router.put('/:clubId/events/:eventId', protect, async (req, res) => {
+// @access  Private (club:manage_events)
+router.put('/:clubId/events/:eventId', protect, requirePermission('club:manage_events', loadClub('params.clubId')), async (req, res) => {
   try {
-    const club = await Club.findById(req.params.clubId);
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Check if user has permission
-    const member = club.members.find(m => m.user.toString() === req.user.id);
-    if (!member || (member.role !== 'President' && member.role !== 'Officer' && req.user.role !== 'admin')) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const { club } = req.context;
 
     const event = club.events.id(req.params.eventId);
     if (!event) {
@@ -318,20 +277,10 @@ router.put('/:clubId/events/:eventId', protect, async (req, res) => {
 
 // @route   DELETE /api/clubs/:clubId/events/:eventId
 // @desc    Delete club event
-// @access  Private (President/Officers/Admin)
-router.delete('/:clubId/events/:eventId', protect, async (req, res) => {
+// @access  Private (club:manage_events)
+router.delete('/:clubId/events/:eventId', protect, requirePermission('club:manage_events', loadClub('params.clubId')), async (req, res) => {
   try {
-    const club = await Club.findById(req.params.clubId);
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Check if user has permission
-    const member = club.members.find(m => m.user.toString() === req.user.id);
-    if (!member || (member.role !== 'President' && member.role !== 'Officer' && req.user.role !== 'admin')) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const { club } = req.context;
 
     club.events = club.events.filter(e => e._id.toString() !== req.params.eventId);
     await club.save();
@@ -348,19 +297,10 @@ router.delete('/:clubId/events/:eventId', protect, async (req, res) => {
 
 // @route   PUT /api/clubs/:clubId/members/:memberId
 // @desc    Update member role
-// @access  Private (President/Admin)
-router.put('/:clubId/members/:memberId', protect, async (req, res) => {
+// @access  Private (club:manage_members)
+router.put('/:clubId/members/:memberId', protect, requirePermission('club:manage_members', loadClub('params.clubId')), async (req, res) => {
   try {
-    const club = await Club.findById(req.params.clubId);
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Check if user is president or admin
-    if (club.president.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const { club } = req.context;
 
     const member = club.members.find(m => m.user.toString() === req.params.memberId);
     if (!member) {
@@ -383,19 +323,10 @@ router.put('/:clubId/members/:memberId', protect, async (req, res) => {
 
 // @route   DELETE /api/clubs/:clubId/members/:memberId
 // @desc    Remove member from club
-// @access  Private (President/Admin)
-router.delete('/:clubId/members/:memberId', protect, async (req, res) => {
+// @access  Private (club:manage_members)
+router.delete('/:clubId/members/:memberId', protect, requirePermission('club:manage_members', loadClub('params.clubId')), async (req, res) => {
   try {
-    const club = await Club.findById(req.params.clubId);
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Check if user is president or admin
-    if (club.president.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const { club } = req.context;
 
     // Cannot remove president
     if (club.president.toString() === req.params.memberId) {
@@ -1,10 +1,40 @@
 import express from "express";
 import Course from '../models/Course.js';
 import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { requirePermission, loadCourse } from '../middleware/permissions.js';
+import { requireTermWindow } from '../middleware/termWindow.js';
+import { STAFF_SESSION_TYPES, taughtCoursesQuery } from '../utils/courseStaff.js';
+import { removeFromGroups, splitStudents } from '../utils/courseGroups.js';
+import {
+  processWaitlist,
+  enrollStudent,
+  confirmOffer,
+  unenrollStudent,
+  leaveWaitlist,
+  getWaitlistPosition
+} from '../utils/enrollment.js';
+import { LEVELS, loadAcademicRecord, checkEligibility, getEligibility } from '../utils/eligibility.js';
+import { getCurrentTerm, termFilter } from '../utils/academicTerm.js';
+import { rolloverCourses } from '../utils/courseRollover.js';
+import { validateScheme, recomputeCourseGrades } from '../utils/assessmentScheme.js';
+import { getSheetLock } from '../utils/gradeSheet.js';
+import { auditContext } from '../utils/gradeAudit.js';
+import { validateThresholds, getThresholds } from '../utils/absenceThresholds.js';
+import { evaluateCourseAbsences } from '../utils/absenceStanding.js';
 
 const router = express.Router();
 
+// Fields PUT /:id may change. Enrollment, the waitlist, staff, groups,
+// materials, the scheme, the thresholds and the archive each have their own
+// routes; the term of an offering is set at creation and by the rollover.
+const EDITABLE_COURSE_FIELDS = [
+  'code', 'name', 'description', 'credits', 'coefficient', 'teachingUnit',
+  'faculty', 'department', 'level', 'schedule', 'makeupRule',
+  'prerequisites', 'corequisites', 'maxStudents', 'syllabus', 'isActive'
+];
+
 // @route   GET /api/courses
 // @desc    Get all courses or user's enrolled courses
 // @access  Private
@@ -17,19 +47,20 @@ router.get('/', protect, async (req, res) => {
       query.enrolledStudents = req.user.id;
     }
 
-    // If professor, get courses they teach
+    // If professor, get courses they teach or co-teach
     if (req.user.role === 'professor') {
-      query.professor = req.user.id;
+      query = taughtCoursesQuery(req.user.id);
     }
 
     // Filter by faculty, department, level
     if (req.query.faculty) query.faculty = req.query.faculty;
     if (req.query.department) query.department = req.query.department;
     if (req.query.level) query.level = req.query.level;
-    if (req.query.semester) query.semester = req.query.semester;
+    Object.assign(query, await termFilter(req.query));
 
     const courses = await Course.find(query)
       .populate('professor', 'firstName lastName email')
+      .populate('staff.user', 'firstName lastName email')
       .populate('enrolledStudents', 'firstName lastName studentId')
       .sort({ name: 1 });
 
@@ -50,6 +81,7 @@ router.get('/:id', protect, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
       .populate('professor', 'firstName lastName email phoneNumber')
+      .populate('staff.user', 'firstName lastName email phoneNumber')
       .populate('enrolledStudents', 'firstName lastName studentId email');
 
     if (!course) {
@@ -67,11 +99,21 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/courses
 // @desc    Create a new course
-// @access  Private (Professor/Admin)
-router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (course:create)
+router.post('/', protect, requirePermission('course:create'), async (req, res) => {
   try {
     const courseData = { ...req.body };
-    
+
+    // Courses belong to the current term unless told otherwise
+    if (!courseData.academicYear || !courseData.semester) {
+      const term = await getCurrentTerm();
+      if (!term) {
+        return res.status(400).json({ error: 'No current academic term, academicYear and semester are required' });
+      }
+      courseData.academicYear = courseData.academicYear || term.academicYear;
+      courseData.semester = courseData.semester || term.semester;
+    }
+
     // If professor creates course, set them as professor
     if (req.user.role === 'professor') {
       courseData.professor = req.user.id;
@@ -88,27 +130,105 @@ router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
   }
 });
 
-// @route   PUT /api/courses/:id
-// @desc    Update course
-// @access  Private (Professor/Admin)
-router.put('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @route   POST /api/courses/rollover
+// @desc    Clone courses into a new academic year and archive the originals
+// @access  Private (Admin)
+router.post('/rollover', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { courses, academicYear, archive = true } = req.body;
+
+    if (!Array.isArray(courses) || courses.length === 0) {
+      return res.status(400).json({ error: 'Select at least one course to roll over' });
+    }
+    if (!/^\d{4}-\d{4}$/.test(academicYear || '')) {
+      return res.status(400).json({ error: 'Target academicYear must look like 2025-2026' });
+    }
+
+    const report = await rolloverCourses(courses, academicYear, { archive });
+
+    await AuditLog.create({
+      actor: req.user.id,
+      action: 'course_rollover',
+      details: { academicYear, archive, ...report },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      rolledOverCount: report.rolledOver.length,
+      skippedCount: report.skipped.length,
+      ...report
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/courses/:id/offerings
+// @desc    Get every offering of the same module across terms
+// @access  Private
+router.get('/:id/offerings', protect, async (req, res) => {
   try {
-    let course = await Course.findById(req.params.id);
+    const course = await Course.findById(req.params.id).select('code');
 
     if (!course) {
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    // Check if user is course professor
-    if (req.user.role === 'professor' && course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to update this course' });
+    const offerings = await Course.find({ code: course.code })
+      .populate('professor', 'firstName lastName')
+      .select('code name academicYear semester professor isActive archivedAt previousOffering')
+      .sort({ academicYear: -1, semester: -1 });
+
+    res.json({
+      success: true,
+      count: offerings.length,
+      offerings
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/courses/:id
+// @desc    Update course
+// @access  Private (course:update)
+router.put('/:id', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
+  try {
+    // Existing grades must be recomputed when the scheme changes
+    if (req.body.assessmentScheme) {
+      return res.status(400).json({ error: 'Use PUT /api/courses/:id/assessment-scheme to change the assessment scheme' });
+    }
+    if (req.body.absenceThresholds) {
+      return res.status(400).json({ error: 'Use PUT /api/courses/:id/absence-thresholds to change the absence thresholds' });
+    }
+
+    const readOnly = Object.keys(req.body).filter(field => !EDITABLE_COURSE_FIELDS.includes(field));
+    if (readOnly.length > 0) {
+      return res.status(400).json({
+        error: `${readOnly.join(', ')} cannot be changed here, editable fields: ${EDITABLE_COURSE_FIELDS.join(', ')}`
+      });
+    }
+
+    // Group-specific sessions must reference an existing section or group
+    if (req.body.schedule) {
+      const groupIds = req.context.course.groups.map(g => g._id.toString());
+      const unknown = req.body.schedule.find(s => s.group && !groupIds.includes(s.group.toString()));
+      if (unknown) {
+        return res.status(400).json({ error: `Group ${unknown.group} does not exist in this course` });
+      }
     }
 
-    course = await Course.findByIdAndUpdate(req.params.id, req.body, {
+    const course = await Course.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
     });
 
+    // Added seats go to the waitlist
+    if (req.body.maxStudents !== undefined) {
+      await processWaitlist(course._id, req.app.get('io'));
+    }
+
     res.json({
       success: true,
       course
@@ -118,23 +238,82 @@ router.put('/:id', protect, authorize('professor', 'admin'), async (req, res) =>
   }
 });
 
-// @route   DELETE /api/courses/:id
-// @desc    Delete course
-// @access  Private (Professor/Admin)
-router.delete('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @route   PUT /api/courses/:id/assessment-scheme
+// @desc    Set the assessment scheme and recompute every grade of the course
+// @access  Private (course:update)
+router.put('/:id/assessment-scheme', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const { course } = req.context;
+    const scheme = (req.body.scheme || []).map(({ type, weight, bestOf }) => ({
+      type,
+      weight: Number(weight),
+      ...(bestOf !== undefined && bestOf !== null && { bestOf: Number(bestOf) })
+    }));
+
+    const schemeError = validateScheme(scheme);
+    if (schemeError) {
+      return res.status(400).json({ error: schemeError });
+    }
 
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+    const lock = await getSheetLock(course);
+    if (lock) {
+      return res.status(409).json({ error: lock, code: 'GRADE_SHEET_LOCKED' });
     }
 
-    // Check if user is course professor
-    if (req.user.role === 'professor' && course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this course' });
+    course.assessmentScheme = scheme;
+    await course.save();
+
+    const result = await recomputeCourseGrades(course, auditContext(req, 'scheme_change'));
+
+    res.json({
+      success: true,
+      assessmentScheme: course.assessmentScheme,
+      ...result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/courses/:id/absence-thresholds
+// @desc    Set the absence thresholds and re-evaluate the students of the course
+// @access  Private (course:update)
+router.put('/:id/absence-thresholds', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const toLimit = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    const thresholds = (req.body.thresholds || []).map(({ sessionType, unjustified, total }) => ({
+      sessionType,
+      unjustified: toLimit(unjustified),
+      total: toLimit(total)
+    }));
+
+    const thresholdError = validateThresholds(thresholds);
+    if (thresholdError) {
+      return res.status(400).json({ error: thresholdError });
     }
 
-    await course.deleteOne();
+    course.absenceThresholds = thresholds;
+    await course.save();
+
+    const result = await evaluateCourseAbsences(course, req.app.get('io'));
+
+    res.json({
+      success: true,
+      absenceThresholds: getThresholds(course),
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/courses/:id
+// @desc    Delete course
+// @access  Private (course:delete)
+router.delete('/:id', protect, requirePermission('course:delete', loadCourse('params.id')), async (req, res) => {
+  try {
+    await req.context.course.deleteOne();
 
     res.json({
       success: true,
@@ -146,37 +325,236 @@ router.delete('/:id', protect, authorize('professor', 'admin'), async (req, res)
 });
 
 // @route   POST /api/courses/:id/enroll
-// @desc    Enroll in a course
-// @access  Private (Student)
-router.post('/:id/enroll', protect, authorize('student'), async (req, res) => {
+// @desc    Enroll in a course, or join its waitlist when it is full
+// @access  Private (course:enroll)
+router.post('/:id/enroll', protect, requirePermission('course:enroll', loadCourse('params.id')), requireTermWindow('enrollment'), async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const eligibility = await getEligibility(req.context.course, req.user);
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        error: 'You are not eligible for this course',
+        reasons: eligibility.reasons
+      });
+    }
+
+    const result = await enrollStudent(req.params.id, req.user.id);
 
+    if (result.status === 'waitlisted') {
+      return res.status(202).json({
+        success: true,
+        status: 'waitlisted',
+        message: `Course is full, you are number ${result.position} on the waitlist`,
+        position: result.position
+      });
+    }
+
+    res.json({
+      success: true,
+      status: 'enrolled',
+      message: 'Successfully enrolled in course',
+      course: result.course
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/courses/:id/enroll/override
+// @desc    Enroll a student regardless of eligibility rules
+// @access  Private (Admin)
+router.post('/:id/enroll/override', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { student, reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to override eligibility' });
+    }
+
+    const [course, target] = await Promise.all([
+      Course.findById(req.params.id),
+      User.findOne({ _id: student, role: 'student' })
+    ]);
     if (!course) {
       return res.status(404).json({ error: 'Course not found' });
     }
-
-    // Check if already enrolled
-    if (course.enrolledStudents.includes(req.user.id)) {
-      return res.status(400).json({ error: 'Already enrolled in this course' });
+    if (!target) {
+      return res.status(404).json({ error: 'Student not found' });
     }
 
-    // Check if course is full
-    if (course.enrolledStudents.length >= course.maxStudents) {
-      return res.status(400).json({ error: 'Course is full' });
+    const eligibility = await getEligibility(course, target);
+    const result = await enrollStudent(course._id, target._id);
+
+    await AuditLog.create({
+      actor: req.user.id,
+      action: 'enrollment_override',
+      targetUser: target._id,
+      reason,
+      details: { course: course._id, status: result.status, bypassed: eligibility.reasons },
+      ipAddress: req.ip
+    });
+
+    res.status(result.status === 'waitlisted' ? 202 : 200).json({
+      success: true,
+      status: result.status,
+      position: result.position,
+      bypassed: eligibility.reasons
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/courses/:id/eligibility
+// @desc    Check whether the current user may enroll in a course
+// @access  Private (course:enroll)
+router.get('/:id/eligibility', protect, requirePermission('course:enroll', loadCourse('params.id')), async (req, res) => {
+  try {
+    const eligibility = await getEligibility(req.context.course, req.user);
+
+    res.json({
+      success: true,
+      ...eligibility
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/courses/:id/enroll
+// @desc    Unenroll from a course
+// @access  Private (course:enroll)
+router.delete('/:id/enroll', protect, requirePermission('course:enroll', loadCourse('params.id')), requireTermWindow('enrollment'), async (req, res) => {
+  try {
+    await unenrollStudent(req.params.id, req.user.id, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Successfully unenrolled from course'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/courses/:id/waitlist
+// @desc    Get the course waitlist in rank order
+// @access  Private (course:view_roster)
+router.get('/:id/waitlist', protect, requirePermission('course:view_roster', loadCourse('params.id')), async (req, res) => {
+  try {
+    await processWaitlist(req.params.id, req.app.get('io'));
+
+    const course = await Course.findById(req.params.id)
+      .populate('waitlist.student', 'firstName lastName studentId email')
+      .select('name code maxStudents enrolledStudents waitlist');
+
+    res.json({
+      success: true,
+      maxStudents: course.maxStudents,
+      enrolledCount: course.enrolledStudents.length,
+      count: course.waitlist.length,
+      waitlist: course.waitlist.map((entry, index) => ({
+        position: index + 1,
+        student: entry.student,
+        joinedAt: entry.joinedAt,
+        offeredAt: entry.offeredAt,
+        offerExpiresAt: entry.offerExpiresAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/courses/:id/waitlist/position
+// @desc    Get current user's waitlist position
+// @access  Private (course:enroll)
+router.get('/:id/waitlist/position', protect, requirePermission('course:enroll', loadCourse('params.id')), async (req, res) => {
+  try {
+    await processWaitlist(req.params.id, req.app.get('io'));
+
+    const course = await Course.findById(req.params.id).select('waitlist');
+    const position = getWaitlistPosition(course, req.user.id);
+
+    if (!position) {
+      return res.status(404).json({ error: 'Not on the waitlist for this course' });
     }
 
-    course.enrolledStudents.push(req.user.id);
+    res.json({
+      success: true,
+      ...position
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/courses/:id/waitlist/confirm
+// @desc    Confirm the seat offered after promotion from the waitlist
+// @access  Private (course:enroll)
+router.post('/:id/waitlist/confirm', protect, requirePermission('course:enroll', loadCourse('params.id')), async (req, res) => {
+  try {
+    const course = await confirmOffer(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Successfully enrolled in course',
+      course
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/courses/:id/waitlist
+// @desc    Leave the waitlist or decline a seat offer
+// @access  Private (course:enroll)
+router.delete('/:id/waitlist', protect, requirePermission('course:enroll', loadCourse('params.id')), async (req, res) => {
+  try {
+    await leaveWaitlist(req.params.id, req.user.id, req.app.get('io'));
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/courses/:id/materials
+// @desc    Add course material
+// @access  Private (course:manage_materials)
+router.post('/:id/materials', protect, requirePermission('course:manage_materials', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+
+    course.materials.push(req.body);
     await course.save();
 
-    // Add course to user's enrolled courses
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { enrolledCourses: course._id }
+    res.json({
+      success: true,
+      course
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/courses/:courseId/materials/:materialId
+// @desc    Delete course material
+// @access  Private (course:manage_materials)
+router.delete('/:courseId/materials/:materialId', protect, requirePermission('course:manage_materials', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const { course } = req.context;
+
+    course.materials = course.materials.filter(
+      material => material._id.toString() !== req.params.materialId
+    );
+    await course.save();
 
     res.json({
       success: true,
-      message: 'Successfully enrolled in course',
+      message: 'Material deleted successfully',
       course
     });
   } catch (error) {
@@ -184,86 +562,303 @@ router.post('/:id/enroll', protect, authorize('student'), async (req, res) => {
   }
 });
 
-// @route   DELETE /api/courses/:id/enroll
-// @desc    Unenroll from a course
-// @access  Private (Student)
-router.delete('/:id/enroll', protect, authorize('student'), async (req, res) => {
+// Checks that every session exists in the course schedule and matches the
+// session type of the staff role. Returns an error message or null.
+const validateStaffSessions = (course, role, sessions = []) => {
+  const expectedType = STAFF_SESSION_TYPES[role];
+  if (!expectedType) {
+    return `Invalid staff role. Valid roles: ${Object.keys(STAFF_SESSION_TYPES).join(', ')}`;
+  }
+
+  for (const sessionId of sessions) {
+    const session = course.schedule.id(sessionId);
+    if (!session) {
+      return `Session ${sessionId} is not part of the course schedule`;
+    }
+    if (session.type !== expectedType) {
+      return `A ${role} can only be assigned ${expectedType} sessions`;
+    }
+  }
+  return null;
+};
+
+// @route   POST /api/courses/:id/staff
+// @desc    Add a lecturer or TD/TP instructor to a course
+// @access  Private (course:update)
+router.post('/:id/staff', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const { course } = req.context;
+    const { user, role, sessions = [] } = req.body;
 
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+    const staffUser = await User.findById(user);
+    if (!staffUser || !['professor', 'admin'].includes(staffUser.role)) {
+      return res.status(400).json({ error: 'Staff member must be an existing professor' });
+    }
+
+    if (course.professor.toString() === staffUser._id.toString()) {
+      return res.status(400).json({ error: 'User is already the responsible professor of this course' });
     }
 
-    course.enrolledStudents = course.enrolledStudents.filter(
-      student => student.toString() !== req.user.id
+    const sessionError = validateStaffSessions(course, role, sessions);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+
+    const existing = course.staff.find(s => s.user.toString() === user && s.role === role);
+    if (existing) {
+      return res.status(400).json({ error: 'User already has this role in the course' });
+    }
+
+    course.staff.push({ user, role, sessions });
+    await course.save();
+    await course.populate('staff.user', 'firstName lastName email');
+
+    res.status(201).json({
+      success: true,
+      staff: course.staff
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/courses/:id/staff/:staffId
+// @desc    Update the sessions assigned to a staff member
+// @access  Private (course:update)
+router.put('/:id/staff/:staffId', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const entry = course.staff.id(req.params.staffId);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    const role = req.body.role || entry.role;
+    const sessions = req.body.sessions || entry.sessions;
+
+    const sessionError = validateStaffSessions(course, role, sessions);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+
+    entry.role = role;
+    entry.sessions = sessions;
+    await course.save();
+    await course.populate('staff.user', 'firstName lastName email');
+
+    res.json({
+      success: true,
+      staff: course.staff
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/courses/:id/staff/:staffId
+// @desc    Remove a staff member from a course
+// @access  Private (course:update)
+router.delete('/:id/staff/:staffId', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const entry = course.staff.id(req.params.staffId);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    entry.deleteOne();
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Staff member removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/courses/:id/groups
+// @desc    Get course sections and TD/TP groups with their students
+// @access  Private (course:view_roster)
+router.get('/:id/groups', protect, requirePermission('course:view_roster', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    await course.populate('groups.students', 'firstName lastName studentId email');
+
+    const assigned = new Set(
+      course.groups.filter(g => g.type === 'group').flatMap(g => g.students.map(s => s._id.toString()))
     );
+
+    res.json({
+      success: true,
+      groups: course.groups,
+      unassignedCount: course.enrolledStudents.filter(id => !assigned.has(id.toString())).length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/courses/:id/groups
+// @desc    Create a section or TD/TP group
+// @access  Private (course:update)
+router.post('/:id/groups', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const { name, type = 'group', capacity } = req.body;
+
+    if (course.groups.some(g => g.type === type && g.name === name)) {
+      return res.status(400).json({ error: `A ${type} named ${name} already exists` });
+    }
+
+    course.groups.push({ name, type, capacity });
     await course.save();
 
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { enrolledCourses: course._id }
+    res.status(201).json({
+      success: true,
+      group: course.groups[course.groups.length - 1]
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/courses/:id/groups/:groupId
+// @desc    Rename a group or change its capacity
+// @access  Private (course:update)
+router.put('/:id/groups/:groupId', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const group = course.groups.id(req.params.groupId);
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const { name, capacity } = req.body;
+    if (capacity !== undefined && capacity < group.students.length) {
+      return res.status(400).json({ error: `Group already has ${group.students.length} students` });
+    }
+
+    if (name !== undefined) group.name = name;
+    if (capacity !== undefined) group.capacity = capacity;
+    await course.save();
 
     res.json({
       success: true,
-      message: 'Successfully unenrolled from course'
+      group
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// @route   POST /api/courses/:id/materials
-// @desc    Add course material
-// @access  Private (Professor/Admin)
-router.post('/:id/materials', protect, authorize('professor', 'admin'), async (req, res) => {
+// @route   DELETE /api/courses/:id/groups/:groupId
+// @desc    Delete a group
+// @access  Private (course:update)
+router.delete('/:id/groups/:groupId', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
+    const { course } = req.context;
+    const group = course.groups.id(req.params.groupId);
 
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
     }
 
-    if (req.user.role === 'professor' && course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    if (course.schedule.some(s => s.group?.toString() === req.params.groupId)) {
+      return res.status(400).json({ error: 'Group still has sessions in the course schedule' });
     }
 
-    course.materials.push(req.body);
+    group.deleteOne();
     await course.save();
 
     res.json({
       success: true,
-      course
+      message: 'Group deleted successfully'
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// @route   DELETE /api/courses/:courseId/materials/:materialId
-// @desc    Delete course material
-// @access  Private (Professor/Admin)
-router.delete('/:courseId/materials/:materialId', protect, authorize('professor', 'admin'), async (req, res) => {
+// @route   PUT /api/courses/:id/groups/:groupId/students
+// @desc    Manually add or remove students of a group
+// @access  Private (course:update)
+router.put('/:id/groups/:groupId/students', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
   try {
-    const course = await Course.findById(req.params.courseId);
+    const { course } = req.context;
+    const group = course.groups.id(req.params.groupId);
 
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
     }
 
-    if (req.user.role === 'professor' && course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const { add = [], remove = [] } = req.body;
+    const enrolled = course.enrolledStudents.map(id => id.toString());
+
+    const notEnrolled = add.filter(id => !enrolled.includes(id));
+    if (notEnrolled.length > 0) {
+      return res.status(400).json({ error: 'Some students are not enrolled in this course', students: notEnrolled });
     }
 
-    course.materials = course.materials.filter(
-      material => material._id.toString() !== req.params.materialId
-    );
+    remove.forEach(id => {
+      group.students = group.students.filter(s => s.toString() !== id);
+    });
+
+    const toAdd = add.filter(id => !group.students.some(s => s.toString() === id));
+    if (group.students.length + toAdd.length > group.capacity) {
+      return res.status(400).json({ error: `Group capacity of ${group.capacity} exceeded` });
+    }
+
+    // A student moves out of their previous group of the same type
+    toAdd.forEach(id => {
+      removeFromGroups(course, id, group.type);
+      group.students.push(id);
+    });
     await course.save();
 
     res.json({
       success: true,
-      message: 'Material deleted successfully',
-      course
+      group
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/courses/:id/groups/split
+// @desc    Automatically assign all enrolled students to groups of a type
+// @access  Private (course:update)
+router.post('/:id/groups/split', protect, requirePermission('course:update', loadCourse('params.id')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const { type = 'group', strategy = 'balanced' } = req.body;
+
+    if (!['balanced', 'alphabetical'].includes(strategy)) {
+      return res.status(400).json({ error: 'Strategy must be balanced or alphabetical' });
+    }
+
+    const groups = course.groups.filter(g => g.type === type);
+    if (groups.length === 0) {
+      return res.status(400).json({ error: `Course has no ${type}s to split students into` });
+    }
+
+    const students = await User.find({ _id: { $in: course.enrolledStudents } })
+      .select('firstName lastName');
+
+    try {
+      splitStudents(groups, students, strategy);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    await course.save();
+
+    res.json({
+      success: true,
+      groups: groups.map(g => ({ _id: g._id, name: g.name, capacity: g.capacity, count: g.students.length }))
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -272,21 +867,33 @@ router.delete('/:courseId/materials/:materialId', protect, authorize('professor'
 
 // @route   GET /api/courses/available/all
 // @desc    Get all available courses for enrollment
-// @access  Private (Student)
-router.get('/available/all', protect, authorize('student'), async (req, res) => {
+// @access  Private (course:enroll)
+router.get('/available/all', protect, requirePermission('course:enroll'), async (req, res) => {
   try {
-    const courses = await Course.find({
-      enrolledStudents: { $ne: req.user.id },
-      level: req.user.level,
-      isActive: true
-    })
-      .populate('professor', 'firstName lastName')
-      .sort({ name: 1 });
+    // Lower levels stay listed for modules still owed from earlier years
+    const levels = LEVELS.slice(0, LEVELS.indexOf(req.user.level) + 1);
+
+    const [courses, record] = await Promise.all([
+      Course.find({
+        enrolledStudents: { $ne: req.user.id },
+        level: { $in: levels },
+        isActive: true,
+        ...(await termFilter(req.query))
+      })
+        .populate('professor', 'firstName lastName')
+        .sort({ level: -1, name: 1 }),
+      loadAcademicRecord(req.user._id)
+    ]);
+
+    const available = courses.map(course => ({
+      ...course.toObject(),
+      eligibility: checkEligibility(course, req.user, record)
+    }));
 
     res.json({
       success: true,
-      count: courses.length,
-      courses
+      count: available.length,
+      courses: available
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
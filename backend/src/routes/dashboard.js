@@ -4,11 +4,24 @@ const router = express.Router();
 import User from '../models/User';
 import Course from '../models/Course';
 import Grade from '../models/Grade';
-import Attendance from '../models/Attendance';
+import AttendanceSession from '../models/AttendanceSession';
 import Exam from '../models/Exam';
 import Club from '../models/Club';
 import Announcement from '../models/Announcement';
 import { protect, authorize } from '../middleware/auth';
+import { taughtCoursesQuery, getTaughtSessions } from '../utils/courseStaff';
+import { getStudentSessions } from '../utils/courseGroups';
+import { getStudentStanding } from '../utils/deliberation';
+import { startOfDay, getStudentAttendanceStats } from '../utils/attendanceSession';
+
+// Sessions of today already planned, held or cancelled, by schedule entry
+const getTodaySessions = async (courses) => {
+  const sessions = await AttendanceSession.find({
+    course: { $in: courses.map(c => c._id) },
+    date: startOfDay(new Date())
+  }).select('slot status');
+  return new Map(sessions.map(s => [s.slot.toString(), s.status]));
+};
 
 // @route   GET /api/dashboard/student
 // @desc    Get student dashboard data
@@ -20,40 +33,43 @@ router.get('/student', protect, authorize('student'), async (req, res) => {
     // Get enrolled courses
     const courses = await Course.find({ enrolledStudents: studentId })
       .populate('professor', 'firstName lastName')
-      .select('name code credits');
+      .select('name code credits schedule groups');
 
     // Get recent grades
-    const recentGrades = await Grade.find({ student: studentId })
+    const recentGrades = (await Grade.find({ student: studentId, isPublished: true })
       .populate('course', 'name code')
       .sort({ createdAt: -1 })
-      .limit(5);
+      .limit(5)).map(grade => grade.toStudentView());
+
+    // Calculate GPA, kept for existing clients: credit-weighted mean of every
+    // published final grade, all years together
+    const allGrades = (await Grade.find({ student: studentId, isPublished: true })
+      .populate('course', 'credits')).map(grade => grade.toStudentView());
 
-    // Calculate GPA
-    const allGrades = await Grade.find({ student: studentId })
-      .populate('course', 'credits');
-    
     let totalCredits = 0;
     let weightedGrades = 0;
     allGrades.forEach(grade => {
-      if (grade.finalGrade && grade.course.credits) {
+      if (grade.finalGrade && grade.course?.credits) {
         totalCredits += grade.course.credits;
         weightedGrades += grade.finalGrade * grade.course.credits;
       }
     });
     const gpa = totalCredits > 0 ? (weightedGrades / totalCredits).toFixed(2) : 0;
 
-    // Get attendance statistics
-    const attendanceRecords = await Attendance.find({ student: studentId });
+    // LMD averages, credits and progression for the current year
+    const standing = await getStudentStanding(req.user, { publishedOnly: true });
+
+    // Get attendance statistics, against the sessions held
+    const { stats } = await getStudentAttendanceStats(studentId);
     const attendanceStats = {
-      total: attendanceRecords.length,
-      present: attendanceRecords.filter(a => a.status === 'Present').length,
-      absent: attendanceRecords.filter(a => a.status === 'Absent').length,
-      late: attendanceRecords.filter(a => a.status === 'Late').length,
-      rate: 0
+      held: stats.held,
+      total: stats.total,
+      present: stats.present,
+      absent: stats.absent,
+      late: stats.late,
+      unrecorded: stats.unrecorded,
+      rate: stats.attendanceRate
     };
-    attendanceStats.rate = attendanceStats.total > 0 
-      ? ((attendanceStats.present + attendanceStats.late) / attendanceStats.total * 100).toFixed(2)
-      : 0;
 
     // Get upcoming exams
     const upcomingExams = await Exam.find({
@@ -69,9 +85,11 @@ router.get('/student', protect, authorize('student'), async (req, res) => {
     const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const today = days[new Date().getDay()];
     
+    const todayStatus = await getTodaySessions(courses);
+
     const todaySchedule = [];
     courses.forEach(course => {
-      const todaySessions = course.schedule?.filter(s => s.day === today) || [];
+      const todaySessions = getStudentSessions(course, studentId).filter(s => s.day === today);
       todaySessions.forEach(session => {
         todaySchedule.push({
           courseId: course._id,
@@ -80,7 +98,8 @@ router.get('/student', protect, authorize('student'), async (req, res) => {
           startTime: session.startTime,
           endTime: session.endTime,
           room: session.room,
-          type: session.type
+          type: session.type,
+          status: todayStatus.get(session._id.toString()) || 'scheduled'
         });
       });
     });
@@ -111,11 +130,15 @@ router.get('/student', protect, authorize('student'), async (req, res) => {
         overview: {
           totalCourses: courses.length,
           gpa,
+          average: standing?.average ?? null,
+          acquiredCredits: standing?.acquiredCredits ?? 0,
+          decision: standing?.decision ?? null,
           attendanceRate: attendanceStats.rate,
           totalClubs: clubs.length
         },
         courses,
         recentGrades,
+        standing,
         attendanceStats,
         upcomingExams,
         todaySchedule,
@@ -135,8 +158,8 @@ router.get('/professor', protect, authorize('professor'), async (req, res) => {
   try {
     const professorId = req.user.id;
 
-    // Get teaching courses
-    const courses = await Course.find({ professor: professorId })
+    // Get teaching courses, including those taught as lecturer or TD/TP staff
+    const courses = await Course.find({ ...taughtCoursesQuery(professorId), archivedAt: null })
       .populate('enrolledStudents', 'firstName lastName studentId');
 
     // Count total students
@@ -146,9 +169,11 @@ router.get('/professor', protect, authorize('professor'), async (req, res) => {
     const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const today = days[new Date().getDay()];
     
+    const todayStatus = await getTodaySessions(courses);
+
     const todayClasses = [];
     courses.forEach(course => {
-      const todaySessions = course.schedule?.filter(s => s.day === today) || [];
+      const todaySessions = getTaughtSessions(course, professorId).filter(s => s.day === today);
       todaySessions.forEach(session => {
         todayClasses.push({
           courseId: course._id,
@@ -158,7 +183,8 @@ router.get('/professor', protect, authorize('professor'), async (req, res) => {
           endTime: session.endTime,
           room: session.room,
           type: session.type,
-          studentCount: course.enrolledStudents.length
+          studentCount: course.enrolledStudents.length,
+          status: todayStatus.get(session._id.toString()) || 'scheduled'
         });
       });
     });
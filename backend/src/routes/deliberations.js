@@ -0,0 +1,123 @@
+// routes/deliberations.js - LMD Deliberation Routes
+import express from 'express';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissionService.js';
+import { getCurrentTerm } from '../utils/academicTerm.js';
+import { deliberate } from '../utils/deliberation.js';
+import { DECISIONS } from '../config/lmd.js';
+
+const router = express.Router();
+
+const resolveAcademicYear = async (query) => {
+  if (query.academicYear) return query.academicYear;
+  const term = await getCurrentTerm();
+  return term?.academicYear || null;
+};
+
+// @route   GET /api/deliberations/student/:studentId
+// @desc    Get unit, semester and year results with the progression decision
+// @access  Private (Student themselves or grade:read in their department)
+router.get('/student/:studentId', protect, async (req, res) => {
+  try {
+    if (req.user.role === 'student' && req.user.id !== req.params.studentId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const student = await User.findOne({ _id: req.params.studentId, role: 'student' });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    // Results cover every module of the year, not only the courses a
+    // professor teaches
+    const departmentContext = { course: { department: student.department, faculty: student.faculty } };
+    if (req.user.role !== 'student' && !(await hasPermission(req, 'grade:read', departmentContext))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const academicYear = await resolveAcademicYear(req.query);
+    if (!academicYear) {
+      return res.status(400).json({ error: 'No current academic term, academicYear is required' });
+    }
+
+    const result = await deliberate(student, academicYear, req.query.level || student.level, {
+      publishedOnly: req.user.role === 'student'
+    });
+
+    res.json({
+      success: true,
+      result: { ...result, decisionLabel: DECISIONS[result.decision] }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/deliberations/cohort
+// @desc    Get the deliberation sheet of a level in a department
+// @access  Private (grade:approve)
+router.get('/cohort', protect, async (req, res) => {
+  try {
+    const { level, faculty, department } = req.query;
+
+    if (!level || !department) {
+      return res.status(400).json({ error: 'level and department are required' });
+    }
+
+    // Checked against the department so department heads only see their own
+    if (!(await hasPermission(req, 'grade:approve', { course: { department, faculty } }))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const academicYear = await resolveAcademicYear(req.query);
+    if (!academicYear) {
+      return res.status(400).json({ error: 'No current academic term, academicYear is required' });
+    }
+
+    const query = { role: 'student', level, department };
+    if (faculty) query.faculty = faculty;
+
+    const students = await User.find(query)
+      .select('firstName lastName studentId level')
+      .sort({ lastName: 1, firstName: 1 });
+
+    const results = [];
+    for (const student of students) {
+      const result = await deliberate(student, academicYear, level);
+      results.push({
+        student: {
+          _id: student._id,
+          firstName: student.firstName,
+          lastName: student.lastName,
+          studentId: student.studentId
+        },
+        average: result.average,
+        credits: result.credits,
+        acquiredCredits: result.acquiredCredits,
+        semesters: result.semesters.map(s => ({ semester: s.semester, average: s.average, acquiredCredits: s.acquiredCredits })),
+        debts: result.debts.length + result.previousLevelDebts.length,
+        decision: result.decision
+      });
+    }
+
+    const summary = Object.keys(DECISIONS).reduce((counts, decision) => {
+      counts[decision] = results.filter(r => r.decision === decision).length;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      academicYear,
+      level,
+      department,
+      count: results.length,
+      summary,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,10 @@ import express from 'express';
 const router = express.Router();
 import Exam from '../models/Exam';
 import Course from '../models/Course';
-import { protect, authorize } from '../middleware/auth';
+import { protect } from '../middleware/auth';
+import { requirePermission, loadCourse, loadExam } from '../middleware/permissions';
+import { termFilter } from '../utils/academicTerm';
+import { notifyMakeupExam } from '../utils/makeup';
 
 // @route   GET /api/exams
 // @desc    Get exams
@@ -26,7 +29,7 @@ router.get('/', protect, async (req, res) => {
     }
 
     if (req.query.type) query.type = req.query.type;
-    if (req.query.semester) query.semester = req.query.semester;
+    Object.assign(query, await termFilter(req.query));
     if (req.query.isPublished !== undefined) query.isPublished = req.query.isPublished;
 
     const exams = await Exam.find(query)
@@ -126,28 +129,30 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/exams
 // @desc    Create exam
-// @access  Private (Professor/Admin)
-router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (exam:create)
+router.post('/', protect, requirePermission('exam:create', loadCourse('body.course')), async (req, res) => {
   try {
-    const course = await Course.findById(req.body.course);
+    const { course } = req.context;
 
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-
-    if (req.user.role === 'professor' && course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    const exam = await Exam.create(req.body);
+    // Exams belong to the term of their course
+    const exam = await Exam.create({
+      semester: course.semester,
+      academicYear: course.academicYear,
+      ...req.body
+    });
 
     await exam.populate('course', 'name code');
 
-    // Emit socket event to notify students
+    // Emit socket event to notify students. Make-up exams only concern the
+    // students who qualified for the make-up session.
     const io = req.app.get('io');
-    course.enrolledStudents.forEach(studentId => {
-      io.to(`student_${studentId}`).emit('new_exam', exam);
-    });
+    if (exam.type === 'Makeup') {
+      await notifyMakeupExam(course, exam, io);
+    } else {
+      course.enrolledStudents.forEach(studentId => {
+        io.to(`student_${studentId}`).emit('new_exam', exam);
+      });
+    }
 
     res.status(201).json({
       success: true,
@@ -160,20 +165,10 @@ router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
 
 // @route   PUT /api/exams/:id
 // @desc    Update exam
-// @access  Private (Professor/Admin)
-router.put('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (exam:update)
+router.put('/:id', protect, requirePermission('exam:update', loadExam('params.id')), async (req, res) => {
   try {
-    let exam = await Exam.findById(req.params.id).populate('course');
-
-    if (!exam) {
-      return res.status(404).json({ error: 'Exam not found' });
-    }
-
-    if (req.user.role === 'professor' && exam.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    exam = await Exam.findByIdAndUpdate(req.params.id, req.body, {
+    const exam = await Exam.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true
     }).populate('course', 'name code');
@@ -189,20 +184,10 @@ router.put('/:id', protect, authorize('professor', 'admin'), async (req, res) =>
 
 // @route   DELETE /api/exams/:id
 // @desc    Delete exam
-// @access  Private (Professor/Admin)
-router.delete('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (exam:delete)
+router.delete('/:id', protect, requirePermission('exam:delete', loadExam('params.id')), async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id).populate('course');
-
-    if (!exam) {
-      return res.status(404).json({ error: 'Exam not found' });
-    }
-
-    if (req.user.role === 'professor' && exam.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    await exam.deleteOne();
+    await req.context.exam.deleteOne();
 
     res.json({
       success: true,
@@ -215,18 +200,10 @@ router.delete('/:id', protect, authorize('professor', 'admin'), async (req, res)
 
 // @route   PUT /api/exams/:id/publish
 // @desc    Publish/unpublish exam
-// @access  Private (Professor/Admin)
-router.put('/:id/publish', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (exam:publish)
+router.put('/:id/publish', protect, requirePermission('exam:publish', loadExam('params.id')), async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id).populate('course');
-
-    if (!exam) {
-      return res.status(404).json({ error: 'Exam not found' });
-    }
-
-    if (req.user.role === 'professor' && exam.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+    const { exam } = req.context;
 
     exam.isPublished = !exam.isPublished;
     await exam.save();
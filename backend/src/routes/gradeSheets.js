@@ -0,0 +1,96 @@
+// routes/gradeSheets.js - Grade Publication Workflow Routes
+import express from 'express';
+import GradeSheet from '../models/GradeSheet.js';
+import { protect } from '../middleware/auth.js';
+import { requirePermission, loadCourse } from '../middleware/permissions.js';
+import { hasPermission } from '../utils/permissionService.js';
+import { SHEET_TRANSITIONS, getGradeSheet, transitionSheet } from '../utils/gradeSheet.js';
+
+const router = express.Router();
+
+const sessionOf = (req) => (req.body?.session || req.query.session) === 'makeup' ? 'makeup' : 'normal';
+
+// @route   GET /api/grade-sheets/pending
+// @desc    Get grade sheets waiting for approval or publication
+// @access  Private (grade:approve)
+router.get('/pending', protect, requirePermission('grade:approve'), async (req, res) => {
+  try {
+    const sheets = await GradeSheet.find({ status: { $in: ['submitted', 'approved'] } })
+      .populate('course', 'name code professor faculty department level')
+      .sort({ submittedAt: 1 });
+
+    // Department heads only see the courses of their department
+    const visible = [];
+    for (const sheet of sheets) {
+      if (sheet.course && await hasPermission(req, 'grade:approve', { course: sheet.course })) {
+        visible.push(sheet);
+      }
+    }
+
+    res.json({
+      success: true,
+      count: visible.length,
+      sheets: visible
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/grade-sheets/course/:courseId
+// @desc    Get the grade sheet of a course for a session
+// @access  Private (grade:read)
+router.get('/course/:courseId', protect, requirePermission('grade:read', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const sheet = await getGradeSheet(req.context.course, sessionOf(req));
+    await sheet.populate('history.by', 'firstName lastName role');
+
+    res.json({
+      success: true,
+      sheet,
+      actions: Object.keys(SHEET_TRANSITIONS).filter(action => SHEET_TRANSITIONS[action].from.includes(sheet.status))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/grade-sheets/course/:courseId/:action
+// @desc    Submit, approve, return, publish or unpublish a grade sheet
+// @access  Private (permission depends on the action)
+router.post(
+  '/course/:courseId/:action',
+  protect,
+  (req, res, next) => {
+    if (!SHEET_TRANSITIONS[req.params.action]) {
+      return res.status(400).json({ error: `Unknown action. Valid actions: ${Object.keys(SHEET_TRANSITIONS).join(', ')}` });
+    }
+    next();
+  },
+  requirePermission(req => SHEET_TRANSITIONS[req.params.action].permission, loadCourse('params.courseId')),
+  async (req, res) => {
+    try {
+      const { course } = req.context;
+      const sheet = await getGradeSheet(course, sessionOf(req));
+
+      const error = await transitionSheet(sheet, req.params.action, {
+        user: req.user,
+        reason: req.body.reason,
+        course,
+        io: req.app.get('io')
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json({
+        success: true,
+        sheet
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
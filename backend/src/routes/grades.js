@@ -1,7 +1,51 @@
 import express from 'express';
 import Grade from '../models/Grade.js';
+import User from '../models/User.js';
 import Course from '../models/Course.js';
-import { protect, authorize} from '../middleware/auth.js';
+import GradeAudit from '../models/GradeAudit.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { requirePermission, loadCourse, loadGrade } from '../middleware/permissions.js';
+import { requireTermWindow } from '../middleware/termWindow.js';
+import { requireEditableSheet } from '../middleware/gradeSheet.js';
+import { hasPermission } from '../utils/permissionService.js';
+import { getStaffRestrictions, getStaffStudents } from '../utils/courseStaff.js';
+import { termFilter } from '../utils/academicTerm.js';
+import { getStudentStanding } from '../utils/deliberation.js';
+import { courseGradesQuery, openMakeupSession, listMakeupStudents, recordMakeupScore } from '../utils/makeup.js';
+import { getGradeSheet } from '../utils/gradeSheet.js';
+import { snapshotGrade, checkChangeReason, saveGradeChange, auditContext } from '../utils/gradeAudit.js';
+import { checkAssessments } from '../utils/assessmentScheme.js';
+import { previewGradeImport, applyGradeImport, buildGradeExport } from '../utils/gradeImport.js';
+import { parseSpreadsheet, sendSpreadsheet } from '../utils/spreadsheet.js';
+import { spreadsheetUpload } from '../config/cloudinary.js';
+
+const router = express.Router();
+
+// TD/TP chargés only grade the students of the groups they teach
+const isOutsideGroups = (restrictions, course, studentId) => {
+  return Boolean(restrictions) && !getStaffStudents(course, restrictions).has(studentId.toString());
+};
+
+// Courses among courseIds where the user holds grade:read
+const loadReadableCourses = async (req, courseIds) => {
+  const courses = await Course.find({ _id: { $in: courseIds } });
+  const readable = [];
+  for (const course of courses) {
+    if (await hasPermission(req, 'grade:read', { course })) readable.push(course);
+  }
+  return readable;
+};
+
+// Staff listings: grades of readable courses, limited to their own groups
+// for TD/TP chargés
+const filterReadableGrades = (req, grades, courses) => {
+  const idOf = (value) => (value._id || value).toString();
+  return grades.filter(grade => {
+    if (!grade.course || !grade.student) return false;
+    const course = courses.find(c => c._id.toString() === idOf(grade.course));
+    return Boolean(course) && !isOutsideGroups(getStaffRestrictions(req.user, course), course, idOf(grade.student));
+  });
+};
 
 // @route   GET /api/grades
 // @desc    Get grades (student gets own, professor gets course grades)
@@ -10,19 +54,33 @@ router.get('/', protect, async (req, res) => {
   try {
     let query = {};
 
+    // Students only see published grades
     if (req.user.role === 'student') {
       query.student = req.user.id;
+      query.isPublished = true;
     }
 
     if (req.query.course) query.course = req.query.course;
-    if (req.query.semester) query.semester = req.query.semester;
-    if (req.query.academicYear) query.academicYear = req.query.academicYear;
+    Object.assign(query, await termFilter(req.query));
+
+    // Staff only get the courses they may read
+    let courses = null;
+    if (req.user.role !== 'student') {
+      courses = await loadReadableCourses(req, await Grade.distinct('course', query));
+      query.course = { $in: courses.map(c => c._id) };
+    }
 
-    const grades = await Grade.find(query)
+    let grades = await Grade.find(query)
       .populate('student', 'firstName lastName studentId')
       .populate('course', 'name code')
       .sort({ createdAt: -1 });
 
+    if (req.user.role === 'student') {
+      grades = grades.map(grade => grade.toStudentView());
+    } else {
+      grades = filterReadableGrades(req, grades, courses);
+    }
+
     res.json({
       success: true,
       count: grades.length,
@@ -33,6 +91,50 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/grades/audit
+// @desc    Query the grade audit trail by course, actor, student and date range
+// @access  Private (Admin)
+router.get('/audit', protect, authorize('admin'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.course) query.course = req.query.course;
+    if (req.query.actor) query.actor = req.query.actor;
+    if (req.query.student) query.student = req.query.student;
+    if (req.query.action) query.action = req.query.action;
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const [entries, total] = await Promise.all([
+      GradeAudit.find(query)
+        .populate('actor', 'firstName lastName email role')
+        .populate('student', 'firstName lastName studentId')
+        .populate('course', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GradeAudit.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      entries
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // @route   GET /api/grades/:id
 // @desc    Get single grade
 // @access  Private
@@ -51,9 +153,44 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
+    if (req.user.role === 'student' && !grade.isPublished) {
+      return res.status(404).json({ error: 'Grade not found' });
+    }
+
+    if (req.user.role !== 'student') {
+      const courses = await loadReadableCourses(req, [grade.course._id]);
+      if (filterReadableGrades(req, [grade], courses).length === 0) {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+    }
+
     res.json({
       success: true,
-      grade
+      grade: req.user.role === 'student' ? grade.toStudentView() : grade
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/grades/:id/history
+// @desc    Get the change history of a grade
+// @access  Private (grade:read)
+router.get('/:id/history', protect, requirePermission('grade:read', loadGrade('params.id')), async (req, res) => {
+  try {
+    const { grade, course } = req.context;
+    if (isOutsideGroups(getStaffRestrictions(req.user, course), course, grade.student)) {
+      return res.status(403).json({ error: 'You can only view the grades of your own groups' });
+    }
+
+    const history = await GradeAudit.find({ grade: grade._id })
+      .populate('actor', 'firstName lastName email role')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: history.length,
+      history
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -62,35 +199,55 @@ router.get('/:id', protect, async (req, res) => {
 
 // @route   POST /api/grades
 // @desc    Create/Add grade
-// @access  Private (Professor/Admin)
-router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (grade:write)
+router.post('/', protect, requirePermission('grade:write', loadCourse('body.course')), requireTermWindow('grading'), requireEditableSheet(), async (req, res) => {
   try {
-    const { student, course, semester, academicYear, assessments } = req.body;
+    const { student, course, assessments } = req.body;
+    // Grades belong to the term of their course
+    const semester = req.body.semester || req.context.course.semester;
+    const academicYear = req.body.academicYear || req.context.course.academicYear;
+
+    // TD/TP chargés only enter the assessments of their own sessions
+    const restrictions = getStaffRestrictions(req.user, req.context.course);
+    if (restrictions && assessments.some(a => !restrictions.assessmentTypes.includes(a.type))) {
+      return res.status(403).json({
+        error: `You can only enter ${restrictions.assessmentTypes.join(', ')} assessments for this course`
+      });
+    }
+    if (isOutsideGroups(restrictions, req.context.course, student)) {
+      return res.status(403).json({ error: 'You can only grade the students of your own groups' });
+    }
 
-    // Verify course belongs to professor
-    if (req.user.role === 'professor') {
-      const courseDoc = await Course.findById(course);
-      if (!courseDoc || courseDoc.professor.toString() !== req.user.id) {
-        return res.status(403).json({ error: 'Not authorized to grade this course' });
-      }
+    const schemeError = checkAssessments(req.context.course, assessments);
+    if (schemeError) {
+      return res.status(400).json({ error: schemeError });
     }
 
     // Check if grade already exists
     let grade = await Grade.findOne({ student, course, semester, academicYear });
 
     if (grade) {
-      // Update existing grade
-      grade.assessments = assessments;
-      await grade.save();
+      const reasonError = checkChangeReason(grade, req.body.reason);
+      if (reasonError) {
+        return res.status(400).json({ error: reasonError });
+      }
+
+      // Update existing grade, keeping assessments entered by other staff
+      const before = snapshotGrade(grade);
+      grade.assessments = restrictions
+        ? [...grade.assessments.filter(a => !restrictions.assessmentTypes.includes(a.type)), ...assessments]
+        : assessments;
+      await saveGradeChange(grade, before, auditContext(req, 'update'));
     } else {
       // Create new grade
-      grade = await Grade.create({
+      grade = new Grade({
         student,
         course,
         semester,
         academicYear,
         assessments
       });
+      await saveGradeChange(grade, {}, auditContext(req, 'create'));
     }
 
     await grade.populate('student', 'firstName lastName studentId');
@@ -101,71 +258,76 @@ router.post('/', protect, authorize('professor', 'admin'), async (req, res) => {
       grade
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // @route   PUT /api/grades/:id
 // @desc    Update grade
-// @access  Private (Professor/Admin)
-router.put('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (grade:write)
+router.put('/:id', protect, requirePermission('grade:write', loadGrade('params.id')), requireTermWindow('grading'), requireEditableSheet(), async (req, res) => {
   try {
-    let grade = await Grade.findById(req.params.id).populate('course');
+    if (getStaffRestrictions(req.user, req.context.course)) {
+      return res.status(403).json({ error: 'Course staff must update grades through their assessments' });
+    }
 
-    if (!grade) {
-      return res.status(404).json({ error: 'Grade not found' });
+    const { grade } = req.context;
+    const reasonError = checkChangeReason(grade, req.body.reason);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
     }
 
-    // Check authorization
-    if (req.user.role === 'professor' && grade.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    // Publication and make-up state only change through their workflows
+    const {
+      reason, student, course, isPublished, firstPublishedAt, normalSession, makeup, session, ...updates
+    } = req.body;
+
+    const schemeError = checkAssessments(grade.course, updates.assessments);
+    if (schemeError) {
+      return res.status(400).json({ error: schemeError });
     }
 
-    grade = await Grade.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    })
-      .populate('student', 'firstName lastName studentId')
-      .populate('course', 'name code');
+    const before = snapshotGrade(grade);
+    grade.set(updates);
+    await saveGradeChange(grade, before, auditContext(req, 'update'));
+
+    await grade.populate('student', 'firstName lastName studentId');
+    await grade.populate('course', 'name code');
 
     res.json({
       success: true,
       grade
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // @route   DELETE /api/grades/:id
 // @desc    Delete grade
-// @access  Private (Professor/Admin)
-router.delete('/:id', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (grade:delete)
+router.delete('/:id', protect, requirePermission('grade:delete', loadGrade('params.id')), requireTermWindow('grading'), requireEditableSheet(), async (req, res) => {
   try {
-    const grade = await Grade.findById(req.params.id).populate('course');
-
-    if (!grade) {
-      return res.status(404).json({ error: 'Grade not found' });
-    }
-
-    // Check authorization
-    if (req.user.role === 'professor' && grade.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const { grade } = req.context;
+    const reasonError = checkChangeReason(grade, req.body?.reason);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
     }
 
-    await grade.deleteOne();
+    const before = snapshotGrade(grade);
+    await saveGradeChange(grade, before, auditContext(req, 'delete'));
 
     res.json({
       success: true,
       message: 'Grade deleted successfully'
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // @route   GET /api/grades/student/:studentId
-// @desc    Get all grades for a student
+// @desc    Get all grades for a student (staff get the courses they may read)
 // @access  Private (Student/Professor/Admin)
 router.get('/student/:studentId', protect, async (req, res) => {
   try {
@@ -174,27 +336,34 @@ router.get('/student/:studentId', protect, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    const grades = await Grade.find({ student: req.params.studentId })
+    const isStudent = req.user.role === 'student';
+    const query = { student: req.params.studentId };
+    if (isStudent) query.isPublished = true;
+
+    let grades = await Grade.find(query)
       .populate('course', 'name code credits')
       .sort({ academicYear: -1, semester: -1 });
 
-    // Calculate GPA
-    let totalCredits = 0;
-    let weightedGrades = 0;
-
-    grades.forEach(grade => {
-      if (grade.finalGrade && grade.course.credits) {
-        totalCredits += grade.course.credits;
-        weightedGrades += grade.finalGrade * grade.course.credits;
-      }
-    });
+    if (isStudent) {
+      grades = grades.map(grade => grade.toStudentView());
+    } else {
+      const courses = await loadReadableCourses(req, grades.filter(g => g.course).map(g => g.course._id));
+      grades = filterReadableGrades(req, grades, courses);
+    }
 
-    const gpa = totalCredits > 0 ? (weightedGrades / totalCredits).toFixed(2) : 0;
+    // Unit and semester averages with compensation, see utils/deliberation.
+    // They cover every module, so staff need grade:read over the department
+    // of the student, as for deliberation results.
+    const student = await User.findById(req.params.studentId);
+    const canReadStanding = student && (isStudent || await hasPermission(req, 'grade:read', {
+      course: { department: student.department, faculty: student.faculty }
+    }));
+    const standing = canReadStanding ? await getStudentStanding(student, { publishedOnly: isStudent }) : null;
 
     res.json({
       success: true,
       count: grades.length,
-      gpa,
+      standing,
       grades
     });
   } catch (error) {
@@ -204,24 +373,19 @@ router.get('/student/:studentId', protect, async (req, res) => {
 
 // @route   GET /api/grades/course/:courseId
 // @desc    Get all grades for a course
-// @access  Private (Professor/Admin)
-router.get('/course/:courseId', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (grade:read)
+router.get('/course/:courseId', protect, requirePermission('grade:read', loadCourse('params.courseId')), async (req, res) => {
   try {
-    const course = await Course.findById(req.params.courseId);
-
-    if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
-    }
-
-    // Check authorization
-    if (req.user.role === 'professor' && course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
-    }
-
-    const grades = await Grade.find({ course: req.params.courseId })
+    let grades = await Grade.find({ course: req.params.courseId })
       .populate('student', 'firstName lastName studentId email')
       .sort({ 'student.lastName': 1 });
 
+    const restrictions = getStaffRestrictions(req.user, req.context.course);
+    if (restrictions) {
+      const students = getStaffStudents(req.context.course, restrictions);
+      grades = grades.filter(g => students.has(g.student._id.toString()));
+    }
+
     // Calculate statistics
     const gradeValues = grades.map(g => g.finalGrade).filter(g => g !== undefined);
     const stats = {
@@ -247,24 +411,100 @@ router.get('/course/:courseId', protect, authorize('professor', 'admin'), async
   }
 });
 
+// @route   GET /api/grades/course/:courseId/export
+// @desc    Export the course grade sheet as CSV or XLSX (?format=xlsx), in
+//          the template accepted by the import
+// @access  Private (grade:read)
+router.get('/course/:courseId/export', protect, requirePermission('grade:read', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const { columns, rows } = await buildGradeExport(course, {
+      restrictions: getStaffRestrictions(req.user, course)
+    });
+
+    await sendSpreadsheet(
+      res,
+      req.query.format === 'xlsx' ? 'xlsx' : 'csv',
+      `grades-${course.code}-${course.academicYear}-${course.semester}`,
+      columns,
+      rows
+    );
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/grades/course/:courseId/import
+// @desc    Import grades from a CSV or XLSX file (columns: studentId, then
+//          one "<type> (<weight>%)" column per assessment). With dryRun=true
+//          only the validation report is returned.
+// @access  Private (grade:write)
+router.post('/course/:courseId/import', protect, requirePermission('grade:write', loadCourse('params.courseId')), requireTermWindow('grading'), requireEditableSheet(), spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { course } = req.context;
+    const preview = await previewGradeImport(course, await parseSpreadsheet(req.file), {
+      restrictions: getStaffRestrictions(req.user, course),
+      reason: req.body.reason
+    });
+
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+    if (dryRun || !preview.valid) {
+      return res.status(preview.valid ? 200 : 400).json({
+        success: preview.valid,
+        dryRun,
+        ...(!preview.valid && { error: 'The file contains errors, nothing was imported' }),
+        ...preview
+      });
+    }
+
+    const result = await applyGradeImport(course, preview, auditContext(req, 'import'));
+
+    res.json({
+      success: true,
+      dryRun: false,
+      ...result,
+      warnings: preview.warnings,
+      summary: preview.summary
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // @route   POST /api/grades/:id/assessments
 // @desc    Add assessment to grade
-// @access  Private (Professor/Admin)
-router.post('/:id/assessments', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (grade:write)
+router.post('/:id/assessments', protect, requirePermission('grade:write', loadGrade('params.id')), requireTermWindow('grading'), requireEditableSheet(), async (req, res) => {
   try {
-    let grade = await Grade.findById(req.params.id).populate('course');
+    const { grade } = req.context;
 
-    if (!grade) {
-      return res.status(404).json({ error: 'Grade not found' });
+    const restrictions = getStaffRestrictions(req.user, grade.course);
+    if (restrictions && !restrictions.assessmentTypes.includes(req.body.type)) {
+      return res.status(403).json({
+        error: `You can only enter ${restrictions.assessmentTypes.join(', ')} assessments for this course`
+      });
+    }
+    if (isOutsideGroups(restrictions, grade.course, grade.student)) {
+      return res.status(403).json({ error: 'You can only grade the students of your own groups' });
     }
 
-    // Check authorization
-    if (req.user.role === 'professor' && grade.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const schemeError = checkAssessments(grade.course, [req.body]);
+    if (schemeError) {
+      return res.status(400).json({ error: schemeError });
     }
 
+    const reasonError = checkChangeReason(grade, req.body.reason);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const before = snapshotGrade(grade);
     grade.assessments.push(req.body);
-    await grade.save();
+    await saveGradeChange(grade, before, auditContext(req, 'assessment_add'));
 
     await grade.populate('student', 'firstName lastName studentId');
 
@@ -273,72 +513,203 @@ router.post('/:id/assessments', protect, authorize('professor', 'admin'), async
       grade
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // @route   PUT /api/grades/:gradeId/assessments/:assessmentId
 // @desc    Update specific assessment
-// @access  Private (Professor/Admin)
-router.put('/:gradeId/assessments/:assessmentId', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (grade:write)
+router.put('/:gradeId/assessments/:assessmentId', protect, requirePermission('grade:write', loadGrade('params.gradeId')), requireTermWindow('grading'), requireEditableSheet(), async (req, res) => {
   try {
-    let grade = await Grade.findById(req.params.gradeId).populate('course');
+    const { grade } = req.context;
 
-    if (!grade) {
-      return res.status(404).json({ error: 'Grade not found' });
+    const assessment = grade.assessments.id(req.params.assessmentId);
+    if (!assessment) {
+      return res.status(404).json({ error: 'Assessment not found' });
     }
 
-    // Check authorization
-    if (req.user.role === 'professor' && grade.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const restrictions = getStaffRestrictions(req.user, grade.course);
+    if ((restrictions && [assessment.type, req.body.type || assessment.type].some(t => !restrictions.assessmentTypes.includes(t))) ||
+      isOutsideGroups(restrictions, grade.course, grade.student)) {
+      return res.status(403).json({ error: 'Not authorized to modify this assessment' });
     }
 
-    const assessment = grade.assessments.id(req.params.assessmentId);
-    if (!assessment) {
-      return res.status(404).json({ error: 'Assessment not found' });
+    const schemeError = checkAssessments(grade.course, [{
+      type: req.body.type || assessment.type,
+      weight: req.body.weight ?? assessment.weight
+    }]);
+    if (schemeError) {
+      return res.status(400).json({ error: schemeError });
+    }
+
+    const reasonError = checkChangeReason(grade, req.body.reason);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
     }
 
+    const before = snapshotGrade(grade);
     Object.assign(assessment, req.body);
-    await grade.save();
+    await saveGradeChange(grade, before, auditContext(req, 'assessment_update'));
 
     res.json({
       success: true,
       grade
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // @route   DELETE /api/grades/:gradeId/assessments/:assessmentId
 // @desc    Delete specific assessment
-// @access  Private (Professor/Admin)
-router.delete('/:gradeId/assessments/:assessmentId', protect, authorize('professor', 'admin'), async (req, res) => {
+// @access  Private (grade:write)
+router.delete('/:gradeId/assessments/:assessmentId', protect, requirePermission('grade:write', loadGrade('params.gradeId')), requireTermWindow('grading'), requireEditableSheet(), async (req, res) => {
   try {
-    let grade = await Grade.findById(req.params.gradeId).populate('course');
+    const { grade } = req.context;
 
-    if (!grade) {
-      return res.status(404).json({ error: 'Grade not found' });
+    const assessment = grade.assessments.id(req.params.assessmentId);
+    const restrictions = getStaffRestrictions(req.user, grade.course);
+    if ((assessment && restrictions && !restrictions.assessmentTypes.includes(assessment.type)) ||
+      isOutsideGroups(restrictions, grade.course, grade.student)) {
+      return res.status(403).json({ error: 'Not authorized to delete this assessment' });
     }
 
-    // Check authorization
-    if (req.user.role === 'professor' && grade.course.professor.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const reasonError = checkChangeReason(grade, req.body?.reason);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
     }
 
+    const before = snapshotGrade(grade);
     grade.assessments = grade.assessments.filter(
       a => a._id.toString() !== req.params.assessmentId
     );
-    await grade.save();
+    await saveGradeChange(grade, before, auditContext(req, 'assessment_delete'));
 
     res.json({
       success: true,
       message: 'Assessment deleted successfully',
       grade
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/grades/course/:courseId/makeup/open
+// @desc    Close the normal session and flag students for the make-up session
+// @access  Private (grade:manage_session)
+router.post('/course/:courseId/makeup/open', protect, requirePermission('grade:manage_session', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    // Eligibility is decided on the published normal session results
+    const sheet = await getGradeSheet(req.context.course, 'normal');
+    if (sheet.status !== 'published') {
+      return res.status(400).json({ error: 'Normal session grades must be published before opening the make-up session' });
+    }
+
+    const { graded, eligible } = await openMakeupSession(req.context.course, req.app.get('io'), auditContext(req, 'makeup_open'));
+
+    res.json({
+      success: true,
+      graded,
+      eligibleCount: eligible.length,
+      eligible: eligible.map(g => ({ grade: g._id, student: g.student, normalGrade: g.normalSession.finalGrade }))
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/grades/course/:courseId/makeup
+// @desc    Get students eligible for the make-up session
+// @access  Private (grade:read)
+router.get('/course/:courseId/makeup', protect, requirePermission('grade:read', loadCourse('params.courseId')), async (req, res) => {
+  try {
+    const grades = await listMakeupStudents(req.context.course);
+
+    res.json({
+      success: true,
+      count: grades.length,
+      grades
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Make-up scores replace the exam component, so TD/TP chargés cannot enter them
+const canEnterMakeup = (req, course) => {
+  const restrictions = getStaffRestrictions(req.user, course);
+  return !restrictions || restrictions.assessmentTypes.includes('Exam');
+};
+
+// @route   PUT /api/grades/:id/makeup
+// @desc    Enter a make-up exam score
+// @access  Private (grade:write)
+router.put('/:id/makeup', protect, requirePermission('grade:write', loadGrade('params.id')), requireTermWindow('grading'), requireEditableSheet('makeup'), async (req, res) => {
+  try {
+    const { grade, course } = req.context;
+
+    if (!canEnterMakeup(req, course)) {
+      return res.status(403).json({ error: 'Only exam staff can enter make-up scores' });
+    }
+
+    const error = await recordMakeupScore(grade, req.body, auditContext(req, 'makeup_score'));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await grade.populate('student', 'firstName lastName studentId');
+
+    res.json({
+      success: true,
+      grade
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/grades/course/:courseId/makeup/scores
+// @desc    Enter make-up scores for several students
+// @access  Private (grade:write)
+router.post('/course/:courseId/makeup/scores', protect, requirePermission('grade:write', loadCourse('params.courseId')), requireTermWindow('grading'), requireEditableSheet('makeup'), async (req, res) => {
+  try {
+    const { course } = req.context;
+    const { scores = [], exam } = req.body;
+
+    if (!canEnterMakeup(req, course)) {
+      return res.status(403).json({ error: 'Only exam staff can enter make-up scores' });
+    }
+
+    const grades = await Grade.find({
+      ...courseGradesQuery(course),
+      student: { $in: scores.map(s => s.student) }
+    });
+
+    // Each score is saved on its own, a failed row does not stop the others
+    const results = [];
+    for (const { student, score } of scores) {
+      const grade = grades.find(g => g.student.toString() === String(student));
+      let error = 'No grade for this student in the course';
+      if (grade) {
+        error = await recordMakeupScore(grade, { score, exam }, auditContext(req, 'makeup_score'))
+          .catch(err => err.message);
+      }
+
+      results.push(error
+        ? { student, success: false, error }
+        : { student, success: true, finalGrade: grade.finalGrade, status: grade.status });
+    }
+
+    res.json({
+      success: true,
+      saved: results.filter(r => r.success).length,
+      results
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,233 @@
+// routes/invitations.js - Staff Invitation Routes
+import express from 'express';
+import crypto from 'crypto';
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { spreadsheetUpload } from '../config/cloudinary.js';
+import { parseCsv } from '../utils/csvParser.js';
+import { hashToken } from '../utils/tokenService.js';
+import { sendInvitationEmail } from '../utils/emailService.js';
+
+const router = express.Router();
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// 8 characters without ambiguous symbols (0/O, 1/I), formatted XXXX-XXXX
+const generateInvitationCode = () => {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+const expiryDate = (days) => {
+  const validDays = Number(days) > 0 ? Math.min(Number(days), 30) : DEFAULT_EXPIRY_DAYS;
+  return new Date(Date.now() + validDays * 24 * 60 * 60 * 1000);
+};
+
+// Validates one invitation request; returns an error message or null
+const checkInvitationData = async ({ email, role }) => {
+  if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+    return 'A valid email is required';
+  }
+  if (!['professor', 'admin'].includes(role)) {
+    return 'Role must be professor or admin';
+  }
+  if (await User.exists({ email: email.toLowerCase() })) {
+    return 'A user with this email already exists';
+  }
+  if (await Invitation.exists({ email: email.toLowerCase(), status: 'pending', expiresAt: { $gt: new Date() } })) {
+    return 'A pending invitation already exists for this email';
+  }
+  return null;
+};
+
+const createInvitation = async (data, invitedBy) => {
+  const code = generateInvitationCode();
+  const invitation = await Invitation.create({
+    email: data.email,
+    role: data.role,
+    faculty: data.faculty,
+    department: data.department,
+    codeHash: hashToken(code),
+    invitedBy,
+    expiresAt: expiryDate(data.expiresInDays)
+  });
+
+  await sendInvitationEmail(invitation.email, invitation.role, code, invitation.expiresAt);
+
+  return invitation;
+};
+
+// @route   GET /api/invitations
+// @desc    List invitations (pending by default)
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const query = { status: req.query.status || 'pending' };
+
+    if (req.query.role) query.role = req.query.role;
+    if (req.query.email) query.email = { $regex: req.query.email, $options: 'i' };
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'firstName lastName email')
+      .populate('acceptedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      invitations: invitations.map(inv => ({
+        ...inv.toObject(),
+        isExpired: inv.status === 'pending' && inv.expiresAt <= new Date()
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite a professor or admin
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const validationError = await checkInvitationData(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const invitation = await createInvitation(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      invitation
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/invitations/batch
+// @desc    Invite several staff members from a CSV file
+//          (columns: email, role, faculty, department)
+// @access  Private (Admin)
+router.post('/batch', protect, authorize('admin'), spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { columns, rows } = parseCsv(req.file.buffer);
+    if (!columns.includes('email') || !columns.includes('role')) {
+      return res.status(400).json({ error: 'CSV must contain at least email and role columns' });
+    }
+
+    const created = [];
+    const failed = [];
+    const seen = new Set();
+
+    for (const [index, row] of rows.entries()) {
+      const line = index + 2;
+      const email = row.email.toLowerCase();
+      // Spreadsheets often capitalise the role, e.g. "Professor"
+      const role = String(row.role || '').trim().toLowerCase();
+
+      if (seen.has(email)) {
+        failed.push({ line, email, error: 'Duplicate email in file' });
+        continue;
+      }
+      seen.add(email);
+
+      const validationError = await checkInvitationData({ ...row, email, role });
+      if (validationError) {
+        failed.push({ line, email, error: validationError });
+        continue;
+      }
+
+      const invitation = await createInvitation({
+        ...row,
+        email,
+        role,
+        expiresInDays: req.body.expiresInDays
+      }, req.user.id);
+      created.push(invitation);
+    }
+
+    res.status(201).json({
+      success: true,
+      createdCount: created.length,
+      failedCount: failed.length,
+      invitations: created,
+      failed
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Resend a pending invitation with a fresh code
+// @access  Private (Admin)
+router.post('/:id/resend', protect, authorize('admin'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    }
+
+    // Only the hash is stored, so a new code replaces the old one
+    const code = generateInvitationCode();
+    invitation.codeHash = hashToken(code);
+    invitation.expiresAt = expiryDate(req.body.expiresInDays);
+    invitation.sentCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    await sendInvitationEmail(invitation.email, invitation.role, code, invitation.expiresAt);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent successfully',
+      invitation
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+// routes/justifications.js - Absence Justification Routes
+import express from 'express';
+import mongoose from 'mongoose';
+import AbsenceJustification from '../models/AbsenceJustification.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { upload, uploadToCloudinary } from '../config/cloudinary.js';
+import { hasPermission } from '../utils/permissionService.js';
+import {
+  JUSTIFICATION_WINDOW_DAYS,
+  checkJustifiable,
+  submitJustification,
+  canReview,
+  reviewJustification
+} from '../utils/absenceJustification.js';
+
+const router = express.Router();
+
+// Absence ids come as an array (JSON) or a comma separated list (multipart)
+const parseAbsenceIds = (value) => {
+  const ids = Array.isArray(value) ? value : String(value || '').split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
+};
+
+const populateJustification = (query) => {
+  return query
+    .populate('student', 'firstName lastName studentId')
+    .populate('courses', 'name code professor staff faculty department archivedAt')
+    .populate('absences', 'course date sessionType session status')
+    .populate('review.reviewedBy', 'firstName lastName');
+};
+
+// @route   GET /api/justifications
+// @desc    Get justifications (student gets own, reviewers get their courses)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.course) query.courses = req.query.course;
+
+    if (req.user.role === 'student') {
+      query.student = req.user.id;
+    } else if (!(await hasPermission(req, 'attendance:review_justification'))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const justifications = await populateJustification(AbsenceJustification.find(query))
+      .sort({ createdAt: -1 });
+
+    // Reviewers only see the justifications of courses they may review
+    const visible = [];
+    for (const justification of justifications) {
+      if (req.user.role === 'student' || await canReview(req, justification)) {
+        visible.push(justification);
+      }
+    }
+
+    res.json({
+      success: true,
+      windowDays: JUSTIFICATION_WINDOW_DAYS,
+      count: visible.length,
+      justifications: visible
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/justifications/:id
+// @desc    Get single justification
+// @access  Private (Student themselves or attendance:review_justification)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const justification = await populateJustification(AbsenceJustification.findById(req.params.id));
+    if (!justification) {
+      return res.status(404).json({ error: 'Justification not found' });
+    }
+
+    const isOwner = justification.student._id.toString() === req.user.id;
+    if (!isOwner && !(await canReview(req, justification))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    res.json({
+      success: true,
+      justification
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/justifications
+// @desc    Justify absences (multipart: document, absences, reason). One
+//          justification is created per course of the absences.
+// @access  Private (Student)
+router.post('/', protect, authorize('student'), upload.single('document'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A supporting document is required' });
+    }
+    if (!req.body.reason) {
+      return res.status(400).json({ error: 'Please explain the reason of your absence' });
+    }
+
+    const absenceIds = parseAbsenceIds(req.body.absences);
+    if (absenceIds.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: 'Invalid absence id' });
+    }
+
+    const { error, absences } = await checkJustifiable(req.user.id, absenceIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await uploadToCloudinary(req.file.buffer, 'usthb-portal/justifications');
+
+    const justifications = await submitJustification(req.user.id, {
+      absences,
+      reason: req.body.reason,
+      document: {
+        url: result.secure_url,
+        publicId: result.public_id,
+        format: result.format,
+        originalName: req.file.originalname
+      }
+    }, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      count: justifications.length,
+      justifications
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/justifications/:id/review
+// @desc    Approve (absences become Excused) or reject a justification
+// @access  Private (attendance:review_justification)
+router.put('/:id/review', protect, async (req, res) => {
+  try {
+    const justification = await AbsenceJustification.findById(req.params.id)
+      .populate('courses')
+      .populate('absences', 'course session status');
+    if (!justification) {
+      return res.status(404).json({ error: 'Justification not found' });
+    }
+    if (!(await canReview(req, justification))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    if (req.user.role !== 'admin' && justification.courses.some(c => c.archivedAt)) {
+      return res.status(403).json({ error: 'This course offering is archived and read-only', code: 'COURSE_ARCHIVED' });
+    }
+
+    const error = await reviewJustification(justification, req.body, req.user.id, req.app.get('io'));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      success: true,
+      justification
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/justifications/:id
+// @desc    Withdraw a pending justification
+// @access  Private (Student themselves)
+router.delete('/:id', protect, authorize('student'), async (req, res) => {
+  try {
+    // Withdrawn only while still pending, a concurrent review wins otherwise
+    const withdrawn = await AbsenceJustification.findOneAndUpdate(
+      { _id: req.params.id, student: req.user.id, status: 'pending' },
+      { status: 'withdrawn' }
+    );
+    if (!withdrawn) {
+      const justification = await AbsenceJustification.findOne({ _id: req.params.id, student: req.user.id });
+      if (!justification) {
+        return res.status(404).json({ error: 'Justification not found' });
+      }
+      return res.status(400).json({ error: `Cannot withdraw a ${justification.status} justification` });
+    }
+
+    res.json({
+      success: true,
+      message: 'Justification withdrawn successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
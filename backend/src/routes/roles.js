@@ -0,0 +1,158 @@
+// routes/roles.js - Permission & Role Assignment Routes
+import express from 'express';
+import RoleAssignment from '../models/RoleAssignment.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { ROLE_PERMISSIONS, SCOPED_ROLES } from '../config/permissions.js';
+import { describePermissions } from '../utils/permissionService.js';
+
+const router = express.Router();
+
+// @route   GET /api/roles
+// @desc    Get role and permission definitions
+// @access  Private (Admin)
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      roles: ROLE_PERMISSIONS,
+      scopedRoles: SCOPED_ROLES
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/roles/me
+// @desc    Get effective permissions of current user
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const permissions = await describePermissions(req);
+
+    res.json({
+      success: true,
+      ...permissions
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/roles/assignments
+// @desc    List role assignments
+// @access  Private (Admin)
+router.get('/assignments', protect, authorize('admin'), async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.user) query.user = req.query.user;
+    if (req.query.role) query.role = req.query.role;
+    if (req.query.course) query['scope.course'] = req.query.course;
+    if (req.query.department) query['scope.department'] = req.query.department;
+    if (req.query.club) query['scope.club'] = req.query.club;
+
+    const assignments = await RoleAssignment.find(query)
+      .populate('user', 'firstName lastName email role')
+      .populate('grantedBy', 'firstName lastName')
+      .populate('scope.course', 'name code')
+      .populate('scope.club', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: assignments.length,
+      assignments
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/roles/assignments
+// @desc    Assign a scoped role to a user
+// @access  Private (Admin)
+router.post('/assignments', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { user, role, scope, expiresAt } = req.body;
+
+    if (!SCOPED_ROLES[role]) {
+      return res.status(400).json({ error: `Unknown role. Valid roles: ${Object.keys(SCOPED_ROLES).join(', ')}` });
+    }
+
+    const target = await User.findById(user);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const duplicateQuery = { user, role, 'scope.type': scope?.type };
+    ['course', 'club', 'department', 'faculty'].forEach(key => {
+      if (scope?.[key]) duplicateQuery[`scope.${key}`] = scope[key];
+    });
+
+    const existing = await RoleAssignment.findOne(duplicateQuery);
+    if (existing && existing.isActive()) {
+      return res.status(400).json({ error: 'User already has this role in this scope' });
+    }
+
+    const assignment = await RoleAssignment.create({
+      user,
+      role,
+      scope,
+      expiresAt,
+      grantedBy: req.user.id
+    });
+
+    await AuditLog.create({
+      actor: req.user.id,
+      action: 'role_assigned',
+      targetUser: target._id,
+      reason: req.body.reason,
+      details: { assignment: assignment._id, role, scope },
+      ipAddress: req.ip
+    });
+
+    await assignment.populate('user', 'firstName lastName email role');
+
+    res.status(201).json({
+      success: true,
+      assignment
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/roles/assignments/:id
+// @desc    Revoke a role assignment
+// @access  Private (Admin)
+router.delete('/assignments/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const assignment = await RoleAssignment.findById(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({ error: 'Role assignment not found' });
+    }
+
+    await assignment.deleteOne();
+
+    await AuditLog.create({
+      actor: req.user.id,
+      action: 'role_revoked',
+      targetUser: assignment.user,
+      reason: req.body?.reason,
+      details: { assignment: assignment._id, role: assignment.role, scope: assignment.scope },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Role assignment revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
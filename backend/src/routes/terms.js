@@ -0,0 +1,174 @@
+// routes/terms.js - Academic Term Routes
+import express from 'express';
+import AcademicTerm from '../models/AcademicTerm.js';
+import Course from '../models/Course.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { academicTermValidation, validate } from '../middleware/validation.js';
+import { getCurrentTerm } from '../utils/academicTerm.js';
+
+const router = express.Router();
+
+// @route   GET /api/terms
+// @desc    Get academic terms
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.academicYear) query.academicYear = req.query.academicYear;
+
+    const terms = await AcademicTerm.find(query).sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      count: terms.length,
+      terms
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/terms/current
+// @desc    Get the current term and its open windows
+// @access  Private
+router.get('/current', protect, async (req, res) => {
+  try {
+    const term = await getCurrentTerm();
+
+    if (!term) {
+      return res.status(404).json({ error: 'No current academic term configured' });
+    }
+
+    res.json({
+      success: true,
+      term,
+      enrollmentOpen: term.isEnrollmentOpen(),
+      gradingOpen: term.isGradingOpen(),
+      holiday: term.getHoliday()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/terms/:id
+// @desc    Get single term
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Academic term not found' });
+    }
+
+    res.json({
+      success: true,
+      term
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/terms
+// @desc    Create academic term
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), academicTermValidation, validate, async (req, res) => {
+  try {
+    const { isCurrent, ...data } = req.body;
+
+    const existing = await AcademicTerm.findOne({ academicYear: data.academicYear, semester: data.semester });
+    if (existing) {
+      return res.status(400).json({ error: `Term ${data.semester} ${data.academicYear} already exists` });
+    }
+
+    const term = await AcademicTerm.create(data);
+
+    res.status(201).json({
+      success: true,
+      term
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/terms/:id
+// @desc    Update term dates, windows and holidays
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Academic term not found' });
+    }
+
+    // The year and semester identify the term courses and grades refer to
+    const { academicYear, semester, isCurrent, ...updates } = req.body;
+
+    term.set(updates);
+    await term.save();
+
+    res.json({
+      success: true,
+      term
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   PUT /api/terms/:id/current
+// @desc    Make a term the current one
+// @access  Private (Admin)
+router.put('/:id/current', protect, authorize('admin'), async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Academic term not found' });
+    }
+
+    await AcademicTerm.updateMany({ _id: { $ne: term._id }, isCurrent: true }, { isCurrent: false });
+    term.isCurrent = true;
+    await term.save();
+
+    res.json({
+      success: true,
+      term
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   DELETE /api/terms/:id
+// @desc    Delete a term that has no courses
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+
+    if (!term) {
+      return res.status(404).json({ error: 'Academic term not found' });
+    }
+
+    const courseCount = await Course.countDocuments({ academicYear: term.academicYear, semester: term.semester });
+    if (courseCount > 0) {
+      return res.status(400).json({ error: `Term still has ${courseCount} courses` });
+    }
+
+    await term.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Academic term deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
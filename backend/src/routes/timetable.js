@@ -1,26 +1,40 @@
 import express from 'express';
 import Course from '../models/Course.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect } from '../middleware/auth.js';
+import { taughtCoursesQuery, getTaughtSessions } from '../utils/courseStaff.js';
+import { getStudentSessions } from '../utils/courseGroups.js';
+import { getCurrentTerm } from '../utils/academicTerm.js';
 
 const router = express.Router();
 
+// Courses on the user's timetable
+const findTimetableCourses = (user) => {
+  if (user.role === 'student') {
+    return Course.find({ enrolledStudents: user.id, archivedAt: null })
+      .populate('professor', 'firstName lastName email');
+  }
+  if (user.role === 'professor') {
+    return Course.find({ ...taughtCoursesQuery(user.id), archivedAt: null });
+  }
+  return [];
+};
+
+// Sessions of a course the user actually attends or teaches: students only
+// see their own section and TD/TP group, staff only the sessions they teach.
+const getUserSessions = (course, user) => {
+  return user.role === 'student'
+    ? getStudentSessions(course, user.id)
+    : getTaughtSessions(course, user.id);
+};
+
+const groupName = (course, session) => session.group && course.groups.id(session.group)?.name;
+
 // @route   GET /api/timetable
 // @desc    Get user's timetable
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    let courses;
-
-    if (req.user.role === 'student') {
-      // Get student's enrolled courses
-      courses = await Course.find({ enrolledStudents: req.user.id })
-        .populate('professor', 'firstName lastName email')
-        .select('name code schedule');
-    } else if (req.user.role === 'professor') {
-      // Get professor's teaching courses
-      courses = await Course.find({ professor: req.user.id })
-        .select('name code schedule enrolledStudents');
-    }
+    const courses = await findTimetableCourses(req.user);
 
     // Organize schedule by day
     const timetable = {
@@ -34,7 +48,7 @@ router.get('/', protect, async (req, res) => {
     };
 
     courses.forEach(course => {
-      course.schedule.forEach(session => {
+      getUserSessions(course, req.user).forEach(session => {
         timetable[session.day].push({
           courseId: course._id,
           courseName: course.name,
@@ -43,6 +57,7 @@ router.get('/', protect, async (req, res) => {
           endTime: session.endTime,
           room: session.room,
           type: session.type,
+          group: groupName(course, session),
           professor: course.professor
         });
       });
@@ -72,19 +87,12 @@ router.get('/today', protect, async (req, res) => {
     const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const today = days[new Date().getDay()];
 
-    let courses;
-
-	if (req.user.role === 'student') {
-      courses = await Course.find({ enrolledStudents: req.user.id })
-        .populate('professor', 'firstName lastName email');
-    } else if (req.user.role === 'professor') {
-      courses = await Course.find({ professor: req.user.id });
-    }
+    const courses = await findTimetableCourses(req.user);
 
     const todaySchedule = [];
 
     courses.forEach(course => {
-      const todaySessions = course.schedule.filter(s => s.day === today);
+      const todaySessions = getUserSessions(course, req.user).filter(s => s.day === today);
       todaySessions.forEach(session => {
         todaySchedule.push({
           courseId: course._id,
@@ -94,6 +102,7 @@ router.get('/today', protect, async (req, res) => {
           endTime: session.endTime,
           room: session.room,
           type: session.type,
+          group: groupName(course, session),
           professor: course.professor
         });
       });
@@ -101,9 +110,12 @@ router.get('/today', protect, async (req, res) => {
 
     todaySchedule.sort((a, b) => a.startTime.localeCompare(b.startTime));
 
+    const term = await getCurrentTerm();
+
     res.json({
       success: true,
       day: today,
+      holiday: term?.getHoliday() || null,
       schedule: todaySchedule
     });
   } catch (error) {
@@ -116,14 +128,7 @@ router.get('/today', protect, async (req, res) => {
 // @access  Private
 router.get('/week', protect, async (req, res) => {
   try {
-    let courses;
-
-    if (req.user.role === 'student') {
-      courses = await Course.find({ enrolledStudents: req.user.id })
-        .populate('professor', 'firstName lastName email');
-    } else if (req.user.role === 'professor') {
-      courses = await Course.find({ professor: req.user.id });
-    }
+    const courses = await findTimetableCourses(req.user);
 
     const weekSchedule = {
       Monday: [],
@@ -134,7 +139,7 @@ router.get('/week', protect, async (req, res) => {
     };
 
     courses.forEach(course => {
-      course.schedule.forEach(session => {
+      getUserSessions(course, req.user).forEach(session => {
         if (weekSchedule[session.day]) {
           weekSchedule[session.day].push({
             courseId: course._id,
@@ -144,6 +149,7 @@ router.get('/week', protect, async (req, res) => {
             endTime: session.endTime,
             room: session.room,
             type: session.type,
+            group: groupName(course, session),
             professor: course.professor
           });
         }
@@ -176,19 +182,12 @@ router.get('/day/:day', protect, async (req, res) => {
       return res.status(400).json({ error: 'Invalid day' });
     }
 
-    let courses;
-
-    if (req.user.role === 'student') {
-      courses = await Course.find({ enrolledStudents: req.user.id })
-        .populate('professor', 'firstName lastName email');
-    } else if (req.user.role === 'professor') {
-      courses = await Course.find({ professor: req.user.id });
-    }
+    const courses = await findTimetableCourses(req.user);
 
     const daySchedule = [];
 
     courses.forEach(course => {
-      const daySessions = course.schedule.filter(s => s.day === day);
+      const daySessions = getUserSessions(course, req.user).filter(s => s.day === day);
       daySessions.forEach(session => {
         daySchedule.push({
           courseId: course._id,
@@ -198,6 +197,7 @@ router.get('/day/:day', protect, async (req, res) => {
           endTime: session.endTime,
           room: session.room,
           type: session.type,
+          group: groupName(course, session),
           professor: course.professor
         });
       });
@@ -220,20 +220,14 @@ router.get('/day/:day', protect, async (req, res) => {
 // @access  Private
 router.get('/conflicts', protect, async (req, res) => {
   try {
-    let courses;
-
-    if (req.user.role === 'student') {
-      courses = await Course.find({ enrolledStudents: req.user.id });
-    } else if (req.user.role === 'professor') {
-      courses = await Course.find({ professor: req.user.id });
-    }
+    const courses = await findTimetableCourses(req.user);
 
     const conflicts = [];
     const sessions = [];
 
     // Collect all sessions
     courses.forEach(course => {
-      course.schedule.forEach(session => {
+      getUserSessions(course, req.user).forEach(session => {
         sessions.push({
           courseId: course._id,
           courseName: course.name,
@@ -295,19 +289,12 @@ router.get('/next-class', protect, async (req, res) => {
     const currentDay = days[now.getDay()];
     const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
 
-    let courses;
-
-    if (req.user.role === 'student') {
-      courses = await Course.find({ enrolledStudents: req.user.id })
-        .populate('professor', 'firstName lastName email');
-    } else if (req.user.role === 'professor') {
-      courses = await Course.find({ professor: req.user.id });
-    }
+    const courses = await findTimetableCourses(req.user);
 
     const allSessions = [];
 
     courses.forEach(course => {
-      course.schedule.forEach(session => {
+      getUserSessions(course, req.user).forEach(session => {
         allSessions.push({
           courseId: course._id,
           courseName: course.name,
@@ -317,6 +304,7 @@ router.get('/next-class', protect, async (req, res) => {
           endTime: session.endTime,
           room: session.room,
           type: session.type,
+          group: groupName(course, session),
           professor: course.professor
         });
       });
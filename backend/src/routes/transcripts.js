@@ -0,0 +1,90 @@
+// routes/transcripts.js - Official Transcript (relevé de notes) Routes
+import express from 'express';
+import User from '../models/User.js';
+import Transcript from '../models/Transcript.js';
+import { protect } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissionService.js';
+import { getCurrentTerm } from '../utils/academicTerm.js';
+import { issueTranscript, renderTranscriptPdf } from '../utils/transcript.js';
+
+const router = express.Router();
+
+// Students get their own transcripts. A transcript covers every module of
+// the year, so staff need grade:read over the department of the student,
+// reading the grades of one course is not enough.
+const canAccessStudent = async (req, student) => {
+  if (req.user.role === 'student') return req.user.id === student._id.toString();
+  return hasPermission(req, 'grade:read', { course: { department: student.department, faculty: student.faculty } });
+};
+
+// @route   GET /api/transcripts/student/:studentId
+// @desc    Issue a signed PDF transcript for a year (?academicYear=&level=)
+//          or one semester (&semester=S1)
+// @access  Private (Student themselves or grade:read in their department)
+router.get('/student/:studentId', protect, async (req, res) => {
+  try {
+    const student = await User.findOne({ _id: req.params.studentId, role: 'student' });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!(await canAccessStudent(req, student))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const { semester } = req.query;
+    if (semester && !['S1', 'S2'].includes(semester)) {
+      return res.status(400).json({ error: 'Semester must be S1 or S2' });
+    }
+
+    const academicYear = req.query.academicYear || (await getCurrentTerm())?.academicYear;
+    if (!academicYear) {
+      return res.status(400).json({ error: 'No current academic term, academicYear is required' });
+    }
+
+    const { error, transcript, result } = await issueTranscript(student, {
+      academicYear,
+      level: req.query.level || student.level,
+      semester
+    }, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const pdf = await renderTranscriptPdf(transcript, result);
+
+    res.attachment(`releve-${student.studentId}-${academicYear}${semester ? `-${semester}` : ''}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/transcripts/student/:studentId/issued
+// @desc    List the transcripts issued for a student
+// @access  Private (Student themselves or grade:read in their department)
+router.get('/student/:studentId/issued', protect, async (req, res) => {
+  try {
+    const student = await User.findOne({ _id: req.params.studentId, role: 'student' });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    if (!(await canAccessStudent(req, student))) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const transcripts = await Transcript.find({ student: req.params.studentId })
+      .populate('issuedBy', 'firstName lastName role')
+      .select('-signature -contentHash')
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      count: transcripts.length,
+      transcripts
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
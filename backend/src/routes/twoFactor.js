@@ -0,0 +1,332 @@
+// routes/twoFactor.js - Two-Factor Authentication Routes
+import express from 'express';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  generateSecret,
+  verifyCode,
+  buildProvisioningUri,
+  generateBackupCodes
+} from '../utils/totp.js';
+import {
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
+import { hashToken, createSession, revokeUserSessions } from '../utils/tokenService.js';
+import { sendTwoFactorResetEmail } from '../utils/emailService.js';
+import {
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  registerSuccessfulLogin
+} from '../utils/loginSecurity.js';
+
+const router = express.Router();
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const lockedResponse = (res, lockedUntil) => res.status(423).json({
+  error: 'Account temporarily locked after too many failed attempts',
+  lockedUntil
+});
+
+// Codes checked for a signed-in user count towards the login lockout like
+// /challenge does, so a stolen access token cannot be used to guess them.
+// Sends the error response and returns false when the check fails.
+const checkSecondFactor = async (req, res, user, factors) => {
+  if (isLocked(user)) {
+    await recordLoginAttempt(req, { user, success: false, failureReason: 'account_locked' });
+    lockedResponse(res, user.lockUntil);
+    return false;
+  }
+
+  if (!verifySecondFactor(user, factors)) {
+    const lockedUntil = await registerFailedLogin(user, req, 'invalid_2fa_code');
+    if (lockedUntil) {
+      lockedResponse(res, lockedUntil);
+    } else {
+      res.status(401).json({ error: 'Invalid verification code' });
+    }
+    return false;
+  }
+  return true;
+};
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get 2FA status of current user
+// @access  Private
+router.get('/status', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.backupCodes');
+
+    res.json({
+      success: true,
+      enabled: user.twoFactor.enabled,
+      required: isTwoFactorRequired(user),
+      enabledAt: user.twoFactor.enabledAt,
+      backupCodesRemaining: user.twoFactor.enabled ? user.twoFactor.backupCodes.length : 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrolment and return the provisioning URI for the QR code
+// @access  Private
+router.post('/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildProvisioningUri(secret, user.email)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm enrolment with a code from the authenticator app
+// @access  Private
+router.post('/verify', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'No two-factor enrolment in progress' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const backupCodes = generateBackupCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = backupCodes.map(hashToken);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes safely, they are shown only once.',
+      backupCodes
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Regenerate backup codes (invalidates the previous ones)
+// @access  Private
+router.post('/backup-codes', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await checkSecondFactor(req, res, user, { code: req.body.code }))) return;
+
+    const backupCodes = generateBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map(hashToken);
+    await user.save();
+
+    res.json({
+      success: true,
+      backupCodes
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA (not allowed for roles where it is mandatory)
+// @access  Private
+router.post('/disable', protect, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: `Two-factor authentication is mandatory for ${user.role} accounts` });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isLocked(user)) {
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      const lockedUntil = await registerFailedLogin(user, req, 'invalid_password');
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await checkSecondFactor(req, res, user, { code, backupCode }))) return;
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/challenge
+// @desc    Complete a login that returned twoFactorRequired
+// @access  Public
+router.post('/challenge', async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login challenge expired, please log in again' });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Login challenge expired, please log in again' });
+    }
+
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { user, success: false, failureReason: 'account_locked' });
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    const method = verifySecondFactor(user, { code, backupCode });
+    if (!method) {
+      const lockedUntil = await registerFailedLogin(user, req, 'invalid_2fa_code');
+      if (lockedUntil) return lockedResponse(res, lockedUntil);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    user.lastLogin = Date.now();
+    await user.save();
+    await registerSuccessfulLogin(user, req);
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      method,
+      backupCodesRemaining: user.twoFactor.backupCodes.length,
+      user: {
+        id: user._id,
+        studentId: user.studentId,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        faculty: user.faculty,
+        department: user.department,
+        level: user.level,
+        profileImage: user.profileImage
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/reset/:userId
+// @desc    Reset a user's lost second factor
+// @access  Private (Admin)
+router.post('/reset/:userId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to reset two-factor authentication' });
+    }
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ error: 'Administrators cannot reset their own second factor' });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const wasEnabled = user.twoFactor.enabled;
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await revokeUserSessions(user._id, 'admin_revoked', req.app.get('io'));
+
+    await AuditLog.create({
+      actor: req.user.id,
+      action: '2fa_reset',
+      targetUser: user._id,
+      reason: reason.trim(),
+      details: { wasEnabled },
+      ipAddress: req.ip
+    });
+
+    await sendTwoFactorResetEmail(user.email, user.firstName);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset, the user must enrol again at next login'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// @route   GET /api/auth/2fa/resets
+// @desc    Audit trail of second factor resets
+// @access  Private (Admin)
+router.get('/resets', protect, authorize('admin'), async (req, res) => {
+  try {
+    const query = { action: '2fa_reset' };
+    if (req.query.user) query.targetUser = req.query.user;
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'firstName lastName email')
+      .populate('targetUser', 'firstName lastName email role')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 100);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// routes/verify.js - Public Document Verification Routes
+import express from 'express';
+import { apiLimiter } from '../middleware/rateLimiter.js';
+import { verifyTranscript } from '../utils/transcript.js';
+
+const router = express.Router();
+
+// @route   GET /api/verify/:code
+// @desc    Check the verification code printed on a transcript
+// @access  Public
+router.get('/:code', apiLimiter, async (req, res) => {
+  try {
+    const verification = await verifyTranscript(req.params.code);
+
+    if (!verification) {
+      return res.status(404).json({ error: 'No document matches this verification code' });
+    }
+
+    const { valid, transcript } = verification;
+    if (!valid) {
+      return res.json({
+        success: true,
+        valid: false,
+        message: 'This document failed the signature check and must not be trusted'
+      });
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      document: {
+        type: 'transcript',
+        code: transcript.code,
+        issuedAt: transcript.issuedAt,
+        academicYear: transcript.academicYear,
+        level: transcript.level,
+        semester: transcript.semester,
+        ...transcript.toObject().summary
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
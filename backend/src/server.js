@@ -4,6 +4,10 @@ import cors from "cors";
 import http from "http";
 import mongoose from "mongoose";
 import { Server as socketIo } from "socket.io";
+import { closeExpiredCheckIns } from "./utils/checkIn.js";
+import { evaluateAllAbsences } from "./utils/absenceStanding.js";
+import { expireWaitlistOffers } from "./utils/enrollment.js";
+import { checkTransactionSupport } from "./utils/transaction.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -26,6 +30,17 @@ mongoose
   .then(() => console.log("✅ MongoDB connected successfully"))
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
+// Enrollment and grade changes need transactions, see utils/transaction.js
+mongoose.connection.once("open", () => {
+  checkTransactionSupport()
+    .then((supported) => {
+      if (!supported) {
+        console.warn("⚠️ MongoDB is not a replica set: enrollment and grade changes are disabled until it runs as one");
+      }
+    })
+    .catch((err) => console.error("Transaction support check failed:", err.message));
+});
+
 
 // make io accessible to our routes
 app.set("io", io);
@@ -39,6 +54,22 @@ io.on("connection", (socket) => {
   });
 });
 
+// Close QR check-ins past their closing time and mark the absentees
+setInterval(() => {
+  closeExpiredCheckIns(io).catch((err) => console.error("Check-in sweep failed:", err.message));
+}, 60 * 1000);
+
+// Pass the seats of lapsed waitlist offers on to the next students
+setInterval(() => {
+  expireWaitlistOffers(io).catch((err) => console.error("Waitlist sweep failed:", err.message));
+}, 60 * 1000);
+
+// Absence warnings and exclusions
+const ABSENCE_EVALUATION_MINUTES = parseInt(process.env.ABSENCE_EVALUATION_MINUTES, 10) || 60;
+setInterval(() => {
+  evaluateAllAbsences(io).catch((err) => console.error("Absence evaluation failed:", err.message));
+}, ABSENCE_EVALUATION_MINUTES * 60 * 1000);
+
 // Health check
 app.get("/api/health", (req, res) => {
   res.json({ status: "ok", message: "USTHB Portal API is running" });
@@ -1,5 +1,5 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { verifyAccessToken } from '../utils/tokenService.js';
 
 const activeUsers = new Map();
 
@@ -16,8 +16,14 @@ const initializeSocket = (io) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
+      const verified = await verifyAccessToken(token);
+      if (!verified) {
+        console.log('Session expired or revoked');
+        socket.disconnect();
+        return;
+      }
+
+      const user = await User.findById(verified.userId).select('-password');
 
       if (!user) {
         socket.disconnect();
@@ -25,9 +31,11 @@ const initializeSocket = (io) => {
       }
 
       socket.userId = user._id.toString();
+      socket.sessionId = verified.session._id.toString();
       activeUsers.set(socket.userId, socket.id);
 
       socket.join(`user_${socket.userId}`);
+      socket.join(`session_${socket.sessionId}`);
       
       if (user.role === 'student') {
         socket.join(`student_${socket.userId}`);
@@ -0,0 +1,139 @@
+import AbsenceJustification from '../models/AbsenceJustification.js';
+import Attendance from '../models/Attendance.js';
+import Course from '../models/Course.js';
+import { hasPermission } from './permissionService.js';
+import { getStaffRestrictions } from './courseStaff.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+
+// How long after an absence students can justify it
+const JUSTIFICATION_WINDOW_DAYS = parseInt(process.env.ABSENCE_JUSTIFICATION_WINDOW_DAYS, 10) || 7;
+
+const notify = async (io, recipient, notification) => {
+  if (io && notification) {
+    sendRealtimeNotification(io, recipient, notification);
+  }
+};
+
+// Checks that a student can justify these attendance records. Returns
+// { error } or { absences }.
+const checkJustifiable = async (studentId, absenceIds) => {
+  if (absenceIds.length === 0) {
+    return { error: 'Select at least one absence to justify' };
+  }
+
+  const absences = await Attendance.find({ _id: { $in: absenceIds }, student: studentId });
+  if (absences.length !== new Set(absenceIds.map(String)).size) {
+    return { error: 'Absence not found' };
+  }
+
+  const notAbsent = absences.find(a => a.status !== 'Absent');
+  if (notAbsent) {
+    return { error: `Only absences can be justified, you were ${notAbsent.status} on ${notAbsent.date.toDateString()}` };
+  }
+
+  const windowStart = new Date(Date.now() - JUSTIFICATION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const late = absences.find(a => a.date < windowStart);
+  if (late) {
+    return { error: `Absences must be justified within ${JUSTIFICATION_WINDOW_DAYS} days, the absence of ${late.date.toDateString()} can no longer be` };
+  }
+
+  const pending = await AbsenceJustification.exists({ absences: { $in: absenceIds }, status: 'pending' });
+  if (pending) {
+    return { error: 'A justification is already pending for some of these absences' };
+  }
+  return { absences };
+};
+
+// One justification is created per course, sharing the document, so each
+// is reviewed by the staff of its own course. The professor of each course
+// is told a justification awaits review.
+const submitJustification = async (studentId, { absences, reason, document }, io = null) => {
+  const courseIds = [...new Set(absences.map(a => a.course.toString()))];
+  const courses = await Course.find({ _id: { $in: courseIds } }).select('name professor');
+
+  const justifications = [];
+  for (const courseId of courseIds) {
+    const justification = await AbsenceJustification.create({
+      student: studentId,
+      absences: absences.filter(a => a.course.toString() === courseId).map(a => a._id),
+      courses: [courseId],
+      reason,
+      document
+    });
+    await Attendance.updateMany({ _id: { $in: justification.absences } }, { justification: justification._id });
+    justifications.push(justification);
+
+    const course = courses.find(c => c._id.toString() === courseId);
+    if (!course?.professor) continue;
+    const notification = await notificationHelpers.absenceJustificationSubmitted(course.professor, course, justification);
+    await notify(io, course.professor, notification);
+  }
+  return justifications;
+};
+
+// Justifications cover a single course, except those submitted before they
+// were split per course: reviewers must be allowed on every course the
+// absences belong to, and TD/TP chargés only review absences from the
+// sessions they teach.
+// justification.courses and justification.absences must be populated.
+const canReview = async (req, justification) => {
+  for (const course of justification.courses) {
+    if (!(await hasPermission(req, 'attendance:review_justification', { course }))) {
+      return false;
+    }
+
+    const restrictions = getStaffRestrictions(req.user, course);
+    const outside = restrictions && justification.absences.some(a =>
+      a.course.toString() === course._id.toString() && !restrictions.sessions.includes(a.session?.toString()));
+    if (outside) return false;
+  }
+  return true;
+};
+
+// Approving excuses the absences that are still recorded as Absent.
+// Returns an error message or null.
+const reviewJustification = async (justification, { decision, comment }, userId, io = null) => {
+  if (justification.status !== 'pending') {
+    return `Justification is already ${justification.status}`;
+  }
+  if (!['approved', 'rejected'].includes(decision)) {
+    return 'Decision must be approved or rejected';
+  }
+  if (decision === 'rejected' && !comment) {
+    return 'A comment explaining the rejection is required';
+  }
+
+  // Claimed while still pending, so a concurrent review or withdrawal
+  // cannot be overridden
+  const review = { comment, reviewedBy: userId, reviewedAt: new Date() };
+  const claimed = await AbsenceJustification.findOneAndUpdate(
+    { _id: justification._id, status: 'pending' },
+    { status: decision, review }
+  );
+  if (!claimed) {
+    const current = await AbsenceJustification.findById(justification._id).select('status');
+    return `Justification is already ${current?.status || 'reviewed'}`;
+  }
+
+  if (decision === 'approved') {
+    await Attendance.updateMany(
+      { _id: { $in: justification.absences.map(a => a._id) }, status: 'Absent' },
+      { status: 'Excused' }
+    );
+  }
+
+  justification.status = decision;
+  justification.review = review;
+
+  const notification = await notificationHelpers.absenceJustificationReviewed(justification.student, justification);
+  await notify(io, justification.student, notification);
+  return null;
+};
+
+module.exports = {
+  JUSTIFICATION_WINDOW_DAYS,
+  checkJustifiable,
+  submitJustification,
+  canReview,
+  reviewJustification
+};
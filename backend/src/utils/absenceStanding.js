@@ -0,0 +1,137 @@
+// Absence standings: counts absences per course and session type against the
+// course thresholds, warns students one absence before the exclusion and
+// tells them when they are excluded, by notification and email.
+import Attendance from '../models/Attendance.js';
+import AbsenceStanding from '../models/AbsenceStanding.js';
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import { ABSENCE_STAGES } from '../config/attendance.js';
+import { getThresholds } from './absenceThresholds.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+import { sendAbsenceWarningEmail } from './emailService.js';
+
+const reaches = (count, limit, margin = 0) => Boolean(limit) && count > 0 && count >= limit - margin;
+
+const getStage = ({ unjustified, total }, threshold) => {
+  if (reaches(unjustified, threshold.unjustified) || reaches(total, threshold.total)) return 'excluded';
+  if (reaches(unjustified, threshold.unjustified, 1) || reaches(total, threshold.total, 1)) return 'warning';
+  return 'ok';
+};
+
+const isAbove = (stage, other) => ABSENCE_STAGES.indexOf(stage) > ABSENCE_STAGES.indexOf(other);
+
+const warnStudent = async (course, standing, io) => {
+  const notification = await notificationHelpers.absenceWarning(standing.student, course, standing);
+  if (io && notification) {
+    sendRealtimeNotification(io, standing.student, notification);
+  }
+
+  const student = await User.findById(standing.student).select('email firstName lastName');
+  if (student?.email) {
+    await sendAbsenceWarningEmail(
+      student.email,
+      `${student.firstName} ${student.lastName}`,
+      course.name,
+      standing.sessionType,
+      standing.stage,
+      standing.unjustified,
+      standing.total
+    );
+  }
+};
+
+// Recomputes the standings of the enrolled students of a course. Stages go
+// down again when absences are excused, and a student reaching a stage again
+// is warned again.
+const evaluateCourseAbsences = async (course, io = null) => {
+  const thresholds = getThresholds(course);
+  const result = { evaluated: 0, warned: 0, excluded: 0 };
+  if (thresholds.length === 0) return result;
+
+  const counts = await Attendance.aggregate([
+    {
+      $match: {
+        course: course._id,
+        sessionType: { $in: thresholds.map(t => t.sessionType) },
+        status: { $in: ['Absent', 'Excused'] },
+        // One record per student and session, like the attendance rates:
+        // records not linked to a session (see migration 004) are left out
+        attendanceSession: { $exists: true }
+      }
+    },
+    {
+      $group: {
+        _id: { student: '$student', sessionType: '$sessionType' },
+        unjustified: { $sum: { $cond: [{ $eq: ['$status', 'Absent'] }, 1, 0] } },
+        total: { $sum: 1 }
+      }
+    }
+  ]);
+  const standings = await AbsenceStanding.find({ course: course._id });
+
+  const enrolled = new Set(course.enrolledStudents.map(id => id.toString()));
+  const keyOf = (student, sessionType) => `${student}:${sessionType}`;
+  const keys = new Map();
+  counts.forEach(({ _id, unjustified, total }) => {
+    keys.set(keyOf(_id.student, _id.sessionType), { student: _id.student, sessionType: _id.sessionType, unjustified, total });
+  });
+  standings.forEach(({ student, sessionType }) => {
+    const key = keyOf(student, sessionType);
+    if (!keys.has(key)) keys.set(key, { student, sessionType, unjustified: 0, total: 0 });
+  });
+
+  for (const entry of keys.values()) {
+    const threshold = thresholds.find(t => t.sessionType === entry.sessionType);
+    if (!threshold || !enrolled.has(entry.student.toString())) continue;
+
+    const standing = standings.find(s => keyOf(s.student, s.sessionType) === keyOf(entry.student, entry.sessionType)) ||
+      new AbsenceStanding({ course: course._id, student: entry.student, sessionType: entry.sessionType });
+    standing.unjustified = entry.unjustified;
+    standing.total = entry.total;
+    standing.stage = getStage(entry, threshold);
+    standing.evaluatedAt = new Date();
+
+    if (isAbove(standing.stage, standing.notifiedStage)) {
+      if (standing.stage === 'excluded') {
+        standing.excludedAt = new Date();
+        result.excluded++;
+      } else {
+        standing.warnedAt = new Date();
+        result.warned++;
+      }
+      await warnStudent(course, standing, io);
+    }
+    standing.notifiedStage = standing.stage;
+    await standing.save();
+    result.evaluated++;
+  }
+
+  return result;
+};
+
+// Evaluation job over every current course offering
+const evaluateAllAbsences = async (io = null) => {
+  const courses = await Course.find({ archivedAt: null, 'enrolledStudents.0': { $exists: true } })
+    .select('name enrolledStudents absenceThresholds');
+
+  const result = { courses: courses.length, evaluated: 0, warned: 0, excluded: 0 };
+  for (const course of courses) {
+    const courseResult = await evaluateCourseAbsences(course, io);
+    result.evaluated += courseResult.evaluated;
+    result.warned += courseResult.warned;
+    result.excluded += courseResult.excluded;
+  }
+  return result;
+};
+
+// Standings of the students of a course by student id, for one session type
+const getStandingsBySessionType = async (course, sessionType) => {
+  const standings = await AbsenceStanding.find({ course: course._id, sessionType });
+  return new Map(standings.map(s => [s.student.toString(), s]));
+};
+
+module.exports = {
+  evaluateCourseAbsences,
+  evaluateAllAbsences,
+  getStandingsBySessionType
+};
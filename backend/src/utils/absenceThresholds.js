@@ -0,0 +1,39 @@
+// Per-course absence thresholds, see config/attendance.js
+import { DEFAULT_ABSENCE_THRESHOLDS } from '../config/attendance.js';
+
+const SESSION_TYPES = ['Lecture', 'TD', 'TP'];
+
+const isLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
+// Returns an error message or null. Each threshold needs at least one of
+// unjustified and total.
+const validateThresholds = (thresholds = []) => {
+  const types = thresholds.map(t => t.sessionType);
+  const unknown = types.find(type => !SESSION_TYPES.includes(type));
+  if (unknown) {
+    return `Unknown session type ${unknown}. Valid types: ${SESSION_TYPES.join(', ')}`;
+  }
+  if (new Set(types).size !== types.length) {
+    return 'Each session type can only have one threshold';
+  }
+
+  const invalid = thresholds.find(t => !isLimit(t.unjustified) || !isLimit(t.total));
+  if (invalid) {
+    return `${invalid.sessionType} thresholds must be positive whole numbers`;
+  }
+  const empty = thresholds.find(t => !t.unjustified && !t.total);
+  if (empty) {
+    return `${empty.sessionType} needs an unjustified or a total absence threshold`;
+  }
+  return null;
+};
+
+// Thresholds applying to a course: its own, or the defaults when it has none
+const getThresholds = (course) => {
+  return course.absenceThresholds?.length > 0 ? course.absenceThresholds : DEFAULT_ABSENCE_THRESHOLDS;
+};
+
+module.exports = {
+  validateThresholds,
+  getThresholds
+};
@@ -0,0 +1,36 @@
+import AcademicTerm from '../models/AcademicTerm.js';
+
+// The term flagged current by an admin, falling back to the term running
+// today. Returns null when no term is configured.
+const getCurrentTerm = async (date = new Date()) => {
+  const flagged = await AcademicTerm.findOne({ isCurrent: true });
+  if (flagged) return flagged;
+
+  return AcademicTerm.findOne({ startDate: { $lte: date }, endDate: { $gte: date } });
+};
+
+// Term a course, grade or exam belongs to
+const findTerm = ({ academicYear, semester }) => AcademicTerm.findOne({ academicYear, semester });
+
+// Query fragment restricting a listing to a term. Explicit academicYear or
+// semester filters win, ?term=all disables the default, otherwise listings
+// show the current term.
+const termFilter = async (query) => {
+  if (query.term === 'all') return {};
+
+  if (query.academicYear || query.semester) {
+    const filter = {};
+    if (query.academicYear) filter.academicYear = query.academicYear;
+    if (query.semester) filter.semester = query.semester;
+    return filter;
+  }
+
+  const term = query.term ? await AcademicTerm.findById(query.term) : await getCurrentTerm();
+  return term ? { academicYear: term.academicYear, semester: term.semester } : {};
+};
+
+module.exports = {
+  getCurrentTerm,
+  findTerm,
+  termFilter
+};
@@ -2,20 +2,20 @@ import User from '../models/User';
 import Course from '../models/Course';
 import Grade from '../models/Grade';
 import Attendance from '../models/Attendance';
+import { getStudentStanding } from './deliberation';
 
-const calculateStudentAnalytics = async (studentId) => {
+// With publishedOnly, as for students viewing their own analytics, only
+// released grades are used
+const calculateStudentAnalytics = async (studentId, { publishedOnly = false } = {}) => {
   try {
-    const grades = await Grade.find({ student: studentId }).populate('course', 'name code credits');
+    const found = await Grade.find({ student: studentId, ...(publishedOnly && { isPublished: true }) })
+      .populate('course', 'name code credits');
+    const grades = publishedOnly ? found.map(grade => grade.toStudentView()) : found;
 
-    let totalCredits = 0;
-    let weightedGrades = 0;
     const gradesBySubject = [];
 
     grades.forEach(grade => {
       if (grade.finalGrade && grade.course.credits) {
-        totalCredits += grade.course.credits;
-        weightedGrades += grade.finalGrade * grade.course.credits;
-        
         gradesBySubject.push({
           course: grade.course.name,
           code: grade.course.code,
@@ -25,7 +25,8 @@ const calculateStudentAnalytics = async (studentId) => {
       }
     });
 
-    const gpa = totalCredits > 0 ? (weightedGrades / totalCredits).toFixed(2) : 0;
+    const student = await User.findById(studentId);
+    const standing = student ? await getStudentStanding(student, { publishedOnly }) : null;
 
     const attendance = await Attendance.find({ student: studentId });
     const attendanceRate = attendance.length > 0
@@ -42,9 +43,10 @@ const calculateStudentAnalytics = async (studentId) => {
     const weaknesses = sortedByGrade.slice(-3).reverse();
 
     return {
-      gpa,
+      average: standing?.average ?? null,
+      standing,
       totalCourses: grades.length,
-      totalCredits,
+      totalCredits: standing?.acquiredCredits ?? 0,
       attendanceRate,
       recentGrades,
       gradesBySubject,
@@ -0,0 +1,84 @@
+// Course assessment schemes, e.g. Exam 60%, TD 20%, best 2 of 3 tests 20%.
+// Grades of a course with a scheme take their weights from it, see the
+// Grade model.
+import Grade from '../models/Grade.js';
+import { snapshotGrade, saveGradeChange } from './gradeAudit.js';
+
+const ASSESSMENT_TYPES = ['TD', 'TP', 'Test', 'Exam', 'Project'];
+
+// Returns an error message or null. An empty scheme is valid: grades then
+// keep their own per-assessment weights.
+const validateScheme = (scheme = []) => {
+  if (scheme.length === 0) return null;
+
+  const types = scheme.map(component => component.type);
+  const unknown = types.find(type => !ASSESSMENT_TYPES.includes(type));
+  if (unknown) {
+    return `Unknown assessment type ${unknown}. Valid types: ${ASSESSMENT_TYPES.join(', ')}`;
+  }
+  if (new Set(types).size !== types.length) {
+    return 'Each assessment type can only appear once in the scheme';
+  }
+
+  const invalidWeight = scheme.find(c => !(c.weight > 0 && c.weight <= 1));
+  if (invalidWeight) {
+    return `${invalidWeight.type} weight must be between 0 and 1`;
+  }
+
+  const invalidBestOf = scheme.find(c => c.bestOf !== undefined && c.bestOf !== null &&
+    !(Number.isInteger(c.bestOf) && c.bestOf > 0));
+  if (invalidBestOf) {
+    return `${invalidBestOf.type} bestOf must be a positive whole number`;
+  }
+
+  const total = scheme.reduce((sum, c) => sum + c.weight, 0);
+  if (Math.abs(total - 1) > 0.0001) {
+    return `Assessment weights must add up to 100%, got ${Number((total * 100).toFixed(2))}%`;
+  }
+  return null;
+};
+
+// Checks assessments entered for a course against its scheme. Without a
+// scheme, each assessment must carry its own weight. Returns an error
+// message or null.
+const checkAssessments = (course, assessments = []) => {
+  const scheme = course.assessmentScheme || [];
+  if (scheme.length === 0) {
+    const unweighted = assessments.find(a => a.weight === undefined || a.weight === null || a.weight === '' ||
+      !(Number(a.weight) >= 0 && Number(a.weight) <= 1));
+    return unweighted
+      ? `${unweighted.type} needs a weight between 0 and 1, this course has no assessment scheme`
+      : null;
+  }
+
+  const allowed = scheme.map(c => c.type);
+  const outside = assessments.find(a => !allowed.includes(a.type));
+  if (outside) {
+    return `${outside.type} is not part of the assessment scheme of this course (${allowed.join(', ')})`;
+  }
+  return null;
+};
+
+// Saves every grade of the offering again so the Grade pre-save hooks apply
+// the new scheme. Changes are audited like any other grade change.
+const recomputeCourseGrades = async (course, audit) => {
+  const grades = await Grade.find({
+    course: course._id,
+    semester: course.semester,
+    academicYear: course.academicYear
+  });
+
+  let changed = 0;
+  for (const grade of grades) {
+    const before = snapshotGrade(grade);
+    if (await saveGradeChange(grade, before, audit)) changed++;
+  }
+  return { recomputed: grades.length, changed };
+};
+
+module.exports = {
+  ASSESSMENT_TYPES,
+  validateScheme,
+  checkAssessments,
+  recomputeCourseGrades
+};
@@ -0,0 +1,319 @@
+// Attendance sessions: the occurrences of course schedule entries that
+// attendance is taken for. Rates are computed against the sessions actually
+// held, so a student with no record at a held session counts as not
+// attending, and cancelled sessions do not count at all.
+import mongoose from 'mongoose';
+import AttendanceSession from '../models/AttendanceSession.js';
+import Attendance from '../models/Attendance.js';
+import Course from '../models/Course.js';
+import { getStudentGroups, getSessionStudents } from './courseGroups.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+
+const startOfDay = (date) => new Date(new Date(date).setHours(0, 0, 0, 0));
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Schedule entries of a type that the given students all attend, on the
+// weekday of date when one is given. Used for records sent with a session
+// type only, as clients did before attendance sessions.
+const findScheduleEntries = (course, { type, date = null, students = [] }) => {
+  const day = date ? DAYS[new Date(date).getDay()] : null;
+  return course.schedule.filter(entry => {
+    if (entry.type !== type || (date && entry.day !== day)) return false;
+    const expected = getSessionStudents(course, entry);
+    return students.every(id => expected.includes(String(id)));
+  });
+};
+
+// Session of a schedule entry on a day, created as scheduled when missing
+const findOrCreateSession = (course, entry, date, instructor) => {
+  return AttendanceSession.findOneAndUpdate(
+    { course: course._id, slot: entry._id, date: startOfDay(date) },
+    {
+      $setOnInsert: {
+        group: entry.group,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        room: entry.room,
+        type: entry.type,
+        instructor
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Session attendance is being taken for, marked as held. Returns
+// { session } or { error } when the session was cancelled.
+const holdSession = async (course, entry, date, instructor) => {
+  const session = await findOrCreateSession(course, entry, date, instructor);
+  if (session.status === 'cancelled') {
+    return { error: 'This session was cancelled' };
+  }
+
+  if (session.status === 'scheduled') {
+    session.status = 'held';
+    session.instructor = session.instructor || instructor;
+    await session.save();
+  }
+  return { session };
+};
+
+const notifyStudents = async (course, session, change, io) => {
+  for (const studentId of getSessionStudents(course, session)) {
+    const notification = await notificationHelpers.attendanceSessionChanged(studentId, course, session, change);
+    if (io && notification) {
+      sendRealtimeNotification(io, studentId, notification);
+    }
+  }
+};
+
+// Sessions can only be cancelled or moved before attendance is taken
+const checkChangeable = async (session) => {
+  if (session.status === 'cancelled') {
+    return 'This session is already cancelled';
+  }
+  if (await Attendance.exists({ attendanceSession: session._id })) {
+    return 'Attendance was already taken for this session';
+  }
+  return null;
+};
+
+// Returns an error message, or null once the students were notified.
+// session.course must be populated.
+const cancelSession = async (session, reason, userId, io = null) => {
+  const error = await checkChangeable(session);
+  if (error) return error;
+
+  session.status = 'cancelled';
+  session.cancellation = { reason, cancelledBy: userId, cancelledAt: new Date() };
+  await session.save();
+
+  await notifyStudents(session.course, session, 'cancelled', io);
+  return null;
+};
+
+// Moves a session to another day or time. The original date and time are
+// kept, even when a session is moved twice. session.course must be populated.
+const rescheduleSession = async (session, { date, startTime, endTime, room }, io = null) => {
+  const error = await checkChangeable(session);
+  if (error) return error;
+
+  const day = date ? startOfDay(date) : session.date;
+  const taken = await AttendanceSession.exists({
+    course: session.course._id,
+    slot: session.slot,
+    date: day,
+    _id: { $ne: session._id }
+  });
+  if (taken) {
+    return 'This schedule session already takes place on that day';
+  }
+
+  if (!session.rescheduledFrom?.date) {
+    session.rescheduledFrom = {
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      room: session.room
+    };
+  }
+  session.date = day;
+  session.startTime = startTime || session.startTime;
+  session.endTime = endTime || session.endTime;
+  session.room = room || session.room;
+  session.status = 'scheduled';
+  await session.save();
+
+  await notifyStudents(session.course, session, 'rescheduled', io);
+  return null;
+};
+
+// Statuses a register can set. Excused only comes from an approved
+// justification, see utils/absenceJustification.
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late'];
+
+// Records a class register for a held session: one record per student and
+// session, created or updated, so submitting the same register twice
+// changes nothing. Rows are checked one by one and the report has one
+// result per row: created, updated, unchanged or rejected with its error.
+const upsertSessionAttendance = async (course, session, rows, { students, recordedBy, date }) => {
+  const enrolled = new Set(course.enrolledStudents.map(id => id.toString()));
+  const attending = new Set(students.map(String));
+  const seen = new Set();
+
+  const results = rows.map((row, index) => {
+    const studentId = String(row?.studentId || '');
+    const result = { index, studentId, status: row?.status };
+
+    if (!mongoose.isValidObjectId(studentId)) {
+      result.error = 'Invalid student id';
+    } else if (seen.has(studentId)) {
+      result.error = 'Duplicate student in register';
+    } else if (!enrolled.has(studentId)) {
+      result.error = 'Student is not enrolled in this course';
+    } else if (!attending.has(studentId)) {
+      result.error = 'Student does not attend this session';
+    } else if (row.status === 'Excused') {
+      result.error = 'Absences are excused by approving a justification';
+    } else if (!ATTENDANCE_STATUSES.includes(row.status)) {
+      result.error = `Status must be one of ${ATTENDANCE_STATUSES.join(', ')}`;
+    }
+    seen.add(studentId);
+    return result;
+  });
+
+  const valid = results.filter(r => !r.error);
+  const existing = await Attendance.find({
+    attendanceSession: session._id,
+    student: { $in: valid.map(r => r.studentId) }
+  });
+
+  const operations = [];
+  valid.forEach(result => {
+    const { remarks } = rows[result.index];
+    const record = existing.find(a => a.student.toString() === result.studentId);
+
+    if (!record) {
+      result.action = 'created';
+      operations.push({
+        updateOne: {
+          filter: { student: result.studentId, attendanceSession: session._id },
+          update: {
+            $setOnInsert: {
+              course: course._id,
+              date,
+              status: result.status,
+              sessionType: session.type,
+              session: session.slot,
+              remarks,
+              recordedBy
+            }
+          },
+          upsert: true
+        }
+      });
+    } else if (record.status === 'Excused' && result.status === 'Absent') {
+      result.error = 'Absence already excused';
+    } else if (record.status === result.status && (remarks === undefined || remarks === record.remarks)) {
+      result.action = 'unchanged';
+    } else {
+      result.action = 'updated';
+      operations.push({
+        updateOne: {
+          filter: { _id: record._id },
+          update: { $set: { status: result.status, ...(remarks !== undefined && { remarks }), recordedBy } }
+        }
+      });
+    }
+  });
+
+  if (operations.length > 0) {
+    await Attendance.bulkWrite(operations, { ordered: false });
+  }
+
+  results.forEach(result => {
+    if (result.error) result.action = 'rejected';
+  });
+
+  const summary = { total: results.length, created: 0, updated: 0, unchanged: 0, rejected: 0 };
+  results.forEach(result => { summary[result.action]++; });
+
+  return { results, summary };
+};
+
+// Counts of the records against the places expected: one per student and
+// held session. Places without a record are unrecorded and count as absent
+// in the rate.
+const summarizeAttendance = (records, expected) => {
+  const count = (status) => records.filter(r => r.status === status).length;
+  const stats = {
+    total: expected,
+    recorded: records.length,
+    present: count('Present'),
+    absent: count('Absent'),
+    late: count('Late'),
+    excused: count('Excused')
+  };
+
+  stats.unrecorded = Math.max(expected - records.length, 0);
+  stats.attendanceRate = expected > 0
+    ? ((stats.present + stats.late) / expected * 100).toFixed(2)
+    : 0;
+  return stats;
+};
+
+// Rates of a student, overall and per enrolled course. A student is
+// expected at the held sessions of their section and groups, and at the
+// ones they were recorded at.
+const getStudentAttendanceStats = async (studentId, { course = null } = {}) => {
+  const courses = await Course.find({ enrolledStudents: studentId, ...(course && { _id: course }) })
+    .select('name code schedule groups');
+
+  const [sessions, records] = await Promise.all([
+    AttendanceSession.find({ course: { $in: courses.map(c => c._id) }, status: 'held' }).select('course group'),
+    Attendance.find({ student: studentId, course: { $in: courses.map(c => c._id) }, attendanceSession: { $exists: true } })
+      .select('course status attendanceSession')
+  ]);
+  const recordedSessions = new Set(records.map(r => r.attendanceSession.toString()));
+
+  const byCourse = courses.map(c => {
+    const groupIds = new Set(getStudentGroups(c, studentId).map(g => g._id.toString()));
+    const held = sessions.filter(s => s.course.equals(c._id) &&
+      (!s.group || groupIds.has(s.group.toString()) || recordedSessions.has(s._id.toString())));
+    const heldIds = new Set(held.map(s => s._id.toString()));
+
+    return {
+      course: { _id: c._id, name: c.name, code: c.code },
+      held: held.length,
+      records: records.filter(r => heldIds.has(r.attendanceSession.toString()))
+    };
+  });
+
+  const held = byCourse.reduce((sum, c) => sum + c.held, 0);
+  return {
+    stats: { held, ...summarizeAttendance(byCourse.flatMap(c => c.records), held) },
+    byCourse: byCourse.map(c => ({
+      course: c.course,
+      held: c.held,
+      ...summarizeAttendance(c.records, c.held)
+    }))
+  };
+};
+
+// Rates of a course, optionally for one schedule entry, some students
+// (e.g. a group) or a date range
+const getCourseAttendanceStats = async (course, { slot, students, date } = {}) => {
+  const query = { course: course._id, status: 'held' };
+  if (slot) query.slot = slot;
+  if (date) query.date = date;
+
+  const sessions = await AttendanceSession.find(query).select('group');
+  const selected = students && new Set(students.map(String));
+
+  const expected = sessions.reduce((sum, session) => {
+    const expectedStudents = getSessionStudents(course, session);
+    return sum + (selected ? expectedStudents.filter(id => selected.has(id)).length : expectedStudents.length);
+  }, 0);
+
+  const records = await Attendance.find({
+    attendanceSession: { $in: sessions.map(s => s._id) },
+    ...(students && { student: { $in: students } })
+  }).select('status');
+
+  return { held: sessions.length, ...summarizeAttendance(records, expected) };
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  startOfDay,
+  findScheduleEntries,
+  findOrCreateSession,
+  holdSession,
+  cancelSession,
+  rescheduleSession,
+  upsertSessionAttendance,
+  summarizeAttendance,
+  getStudentAttendanceStats,
+  getCourseAttendanceStats
+};
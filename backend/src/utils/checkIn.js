@@ -0,0 +1,248 @@
+// QR self check-in. The instructor's screen shows a code that rotates every
+// rotationSeconds: "<checkInSessionId>.<window>.<signature>", where the
+// signature is an HMAC of the window with the session secret. A code is
+// accepted during its own window and the next one, so a shared screenshot
+// stops working within seconds.
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import CheckInSession from '../models/CheckInSession.js';
+import Attendance from '../models/Attendance.js';
+import User from '../models/User.js';
+import { getSessionStudents } from './courseGroups.js';
+import { holdSession } from './attendanceSession.js';
+import { hashToken } from './tokenService.js';
+
+const DURATION_MINUTES = parseInt(process.env.CHECK_IN_DURATION_MINUTES, 10) || 90;
+const GRACE_MINUTES = parseInt(process.env.CHECK_IN_GRACE_MINUTES, 10) || 15;
+
+const windowOf = (session, time) => Math.floor(time / (session.rotationSeconds * 1000));
+
+const signWindow = (session, window) => {
+  return crypto.createHmac('sha256', session.secret).update(`${session._id}.${window}`).digest('hex').slice(0, 24);
+};
+
+// One record per student and session: a concurrent scan, register or
+// close hits the unique index on { student, attendanceSession }. Two
+// concurrent opens hit the one on open check-ins.
+const isDuplicateKey = (error) => error?.code === 11000;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const openCheckIn = async (course, entry, userId, { graceMinutes, durationMinutes } = {}) => {
+  const findOpen = () => CheckInSession.findOne({ course: course._id, session: entry._id, status: 'open' });
+  const existing = await findOpen();
+  if (existing) {
+    return { error: 'A check-in is already open for this session', session: existing };
+  }
+
+  const now = new Date();
+  const held = await holdSession(course, entry, now, userId);
+  if (held.error) {
+    return { error: held.error };
+  }
+
+  let session;
+  try {
+    session = await CheckInSession.create({
+      course: course._id,
+      session: entry._id,
+      attendanceSession: held.session._id,
+      sessionType: entry.type,
+      date: now,
+      openedBy: userId,
+      graceMinutes: graceMinutes ?? GRACE_MINUTES,
+      closesAt: new Date(now.getTime() + (durationMinutes || DURATION_MINUTES) * 60 * 1000),
+      secret: crypto.randomBytes(32).toString('hex')
+    });
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+    return { error: 'A check-in is already open for this session', session: await findOpen() };
+  }
+  return { session };
+};
+
+// Current code of an open session, with a QR image for the instructor screen
+const getCheckInCode = async (session) => {
+  const window = windowOf(session, Date.now());
+  const code = `${session._id}.${window}.${signWindow(session, window)}`;
+
+  return {
+    code,
+    qr: await QRCode.toDataURL(code, { margin: 1, width: 320 }),
+    expiresAt: new Date((window + 1) * session.rotationSeconds * 1000)
+  };
+};
+
+// Marks every student of the session without a record as Absent. The first
+// caller wins, so a manual close and the expiry sweep cannot both run it.
+// Students recorded in the meantime keep their record.
+const closeCheckIn = async (sessionId, io = null) => {
+  const session = await CheckInSession.findOneAndUpdate(
+    { _id: sessionId, status: 'open' },
+    { status: 'closed', closedAt: new Date() },
+    { new: true }
+  ).populate('course');
+  if (!session) return null;
+
+  const entry = session.course.schedule.id(session.session);
+  const students = entry ? getSessionStudents(session.course, entry) : [];
+
+  // Attendance recorded by hand for the same session counts as well
+  const recorded = await Attendance.find({ attendanceSession: session.attendanceSession }).select('student');
+  const recordedIds = new Set(recorded.map(a => a.student.toString()));
+
+  const absent = students.filter(id => !recordedIds.has(id));
+  let records = [];
+  if (absent.length > 0) {
+    const absences = absent.map(student => ({
+      student,
+      course: session.course._id,
+      date: session.date,
+      status: 'Absent',
+      sessionType: session.sessionType,
+      session: session.session,
+      attendanceSession: session.attendanceSession,
+      checkInSession: session._id,
+      recordedBy: session.openedBy
+    }));
+
+    try {
+      records = await Attendance.insertMany(absences, { ordered: false });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      records = error.insertedDocs;
+    }
+
+    if (io) {
+      records.forEach(record => io.to(`student_${record.student}`).emit('attendance_marked', record));
+    }
+  }
+
+  session.absentCount = records.length;
+  await session.save();
+  return session;
+};
+
+// Closes the sessions past their closing time
+const closeExpiredCheckIns = async (io = null) => {
+  const expired = await CheckInSession.find({ status: 'open', closesAt: { $lte: new Date() } }).select('_id');
+  for (const { _id } of expired) {
+    await closeCheckIn(_id, io);
+  }
+  return expired.length;
+};
+
+// Records a student's scan. Returns { status, error } when refused.
+//
+// Devices are bound twice: a student account checks in from a single device
+// (bound on first use, reset by an admin), and a device checks in a single
+// student per session.
+const checkIn = async (code, student, deviceId, io = null) => {
+  const [sessionId, windowValue, signature] = String(code || '').split('.');
+  if (!sessionId || !windowValue || !signature || !deviceId) {
+    return { status: 400, error: 'A check-in code and device id are required' };
+  }
+
+  let session = await CheckInSession.findById(sessionId).select('+secret').catch(() => null);
+  if (!session) {
+    return { status: 400, error: 'Invalid check-in code' };
+  }
+  if (session.status === 'open' && session.closesAt <= new Date()) {
+    await closeCheckIn(session._id, io);
+    session = await CheckInSession.findById(sessionId).select('+secret');
+  }
+  if (session.status !== 'open') {
+    return { status: 400, error: 'This check-in is closed' };
+  }
+
+  const window = Number(windowValue);
+  const current = windowOf(session, Date.now());
+  if (!(window === current || window === current - 1) || !safeEqual(signature, signWindow(session, window))) {
+    return { status: 400, error: 'This check-in code has expired, scan the current one' };
+  }
+
+  await session.populate('course');
+  const entry = session.course.schedule.id(session.session);
+  if (!entry || !getSessionStudents(session.course, entry).includes(student._id.toString())) {
+    return { status: 403, error: 'You do not attend this session' };
+  }
+
+  const existing = await Attendance.findOne({
+    student: student._id,
+    attendanceSession: session.attendanceSession
+  });
+  if (existing) {
+    return { status: 400, error: 'Attendance already recorded for this session' };
+  }
+
+  const deviceHash = hashToken(String(deviceId));
+
+  const account = await User.findById(student._id).select('+checkInDevice.hash');
+  if (account.checkInDevice?.hash && account.checkInDevice.hash !== deviceHash) {
+    return { status: 403, error: 'Your account is bound to another device, ask the administration to reset it' };
+  }
+  if (!account.checkInDevice?.hash) {
+    const bound = await User.updateOne(
+      { _id: student._id, 'checkInDevice.hash': { $exists: false } },
+      { checkInDevice: { hash: deviceHash, boundAt: new Date() } }
+    );
+    // A concurrent scan bound the account first, maybe from another device
+    if (bound.matchedCount === 0) {
+      const current = await User.findById(student._id).select('+checkInDevice.hash');
+      if (current.checkInDevice?.hash !== deviceHash) {
+        return { status: 403, error: 'Your account is bound to another device, ask the administration to reset it' };
+      }
+    }
+  }
+
+  const claimed = await CheckInSession.findOneAndUpdate(
+    { _id: session._id, 'devices.deviceHash': { $ne: deviceHash } },
+    { $push: { devices: { deviceHash, student: student._id } } }
+  );
+  const sameStudent = session.devices.some(d => d.deviceHash === deviceHash && d.student.toString() === student._id.toString());
+  if (!claimed && !sameStudent) {
+    return { status: 403, error: 'This device was already used to check in another student' };
+  }
+
+  const lateAfter = session.date.getTime() + session.graceMinutes * 60 * 1000;
+  let attendance;
+  try {
+    attendance = await Attendance.create({
+      student: student._id,
+      course: session.course._id,
+      date: session.date,
+      status: Date.now() > lateAfter ? 'Late' : 'Present',
+      sessionType: session.sessionType,
+      session: session.session,
+      attendanceSession: session.attendanceSession,
+      checkInSession: session._id,
+      recordedBy: student._id
+    });
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+    return { status: 400, error: 'Attendance already recorded for this session' };
+  }
+
+  if (io) {
+    io.to(`student_${student._id}`).emit('attendance_marked', attendance);
+    io.to(`user_${session.openedBy}`).emit('check_in', {
+      checkInSession: session._id,
+      student: { _id: student._id, firstName: student.firstName, lastName: student.lastName, studentId: student.studentId },
+      status: attendance.status
+    });
+  }
+
+  return { attendance };
+};
+
+module.exports = {
+  openCheckIn,
+  getCheckInCode,
+  closeCheckIn,
+  closeExpiredCheckIns,
+  checkIn
+};
@@ -0,0 +1,84 @@
+// Course sections and TD/TP groups (Course.groups) and the schedule entries
+// attached to them (Course.schedule[].group).
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Groups a student belongs to
+const getStudentGroups = (course, studentId) => {
+  return (course.groups || []).filter(group =>
+    group.students.some(s => idOf(s) === studentId.toString())
+  );
+};
+
+// Schedule sessions a student attends: those shared by the whole course
+// plus the ones of their own section and group.
+const getStudentSessions = (course, studentId) => {
+  const groupIds = new Set(getStudentGroups(course, studentId).map(g => g._id.toString()));
+  return course.schedule.filter(session => !session.group || groupIds.has(session.group.toString()));
+};
+
+// Students expected at a schedule session
+const getSessionStudents = (course, session) => {
+  if (!session.group) return course.enrolledStudents.map(idOf);
+
+  const group = course.groups.id(session.group);
+  return group ? group.students.map(idOf) : [];
+};
+
+const removeFromGroups = (course, studentId, type = null) => {
+  course.groups.forEach(group => {
+    if (!type || group.type === type) {
+      group.students = group.students.filter(s => idOf(s) !== studentId.toString());
+    }
+  });
+};
+
+// Distributes students among the groups of one type, replacing their
+// current membership.
+//   balanced     - fills the least populated group first, keeping group
+//                  sizes within one of each other
+//   alphabetical - contiguous blocks by last name, as on printed lists
+const splitStudents = (groups, students, strategy = 'balanced') => {
+  const capacity = groups.reduce((sum, g) => sum + g.capacity, 0);
+  if (students.length > capacity) {
+    throw new Error(`Not enough capacity: ${students.length} students for ${capacity} places`);
+  }
+
+  groups.forEach(group => { group.students = []; });
+
+  if (strategy === 'alphabetical') {
+    const sorted = [...students].sort((a, b) =>
+      `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`, 'fr')
+    );
+    let index = 0;
+
+    groups.forEach((group, i) => {
+      const remaining = sorted.length - index;
+      const laterCapacity = groups.slice(i + 1).reduce((sum, g) => sum + g.capacity, 0);
+      // Even share, enlarged when the following groups cannot absorb the rest
+      const take = Math.min(
+        group.capacity,
+        Math.max(Math.ceil(remaining / (groups.length - i)), remaining - laterCapacity)
+      );
+      group.students = sorted.slice(index, index + take).map(s => s._id);
+      index += take;
+    });
+    return groups;
+  }
+
+  students.forEach(student => {
+    const target = groups
+      .filter(g => g.students.length < g.capacity)
+      .sort((a, b) => a.students.length - b.students.length)[0];
+    target.students.push(student._id);
+  });
+  return groups;
+};
+
+module.exports = {
+  getStudentGroups,
+  getStudentSessions,
+  getSessionStudents,
+  removeFromGroups,
+  splitStudents
+};
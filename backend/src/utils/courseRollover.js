@@ -0,0 +1,88 @@
+import Course from '../models/Course.js';
+import { findTerm } from './academicTerm.js';
+
+// Fields carried over to the new offering. Students, waitlist and group
+// membership start empty; schedule, staff and group ids are kept so staff
+// session assignments stay valid.
+const cloneOffering = (course, term) => {
+  const source = course.toObject();
+
+  return {
+    code: source.code,
+    name: source.name,
+    description: source.description,
+    credits: source.credits,
+    coefficient: source.coefficient,
+    teachingUnit: source.teachingUnit,
+    professor: source.professor,
+    faculty: source.faculty,
+    department: source.department,
+    level: source.level,
+    semester: term.semester,
+    academicYear: term.academicYear,
+    schedule: source.schedule,
+    groups: source.groups.map(group => ({ ...group, students: [] })),
+    staff: source.staff,
+    prerequisites: source.prerequisites,
+    corequisites: source.corequisites,
+    maxStudents: source.maxStudents,
+    makeupRule: source.makeupRule,
+    assessmentScheme: source.assessmentScheme,
+    absenceThresholds: source.absenceThresholds,
+    syllabus: source.syllabus,
+    materials: source.materials,
+    previousOffering: course._id
+  };
+};
+
+// Clones each course into the same semester of the target academic year and
+// archives the original. Grades and attendance keep pointing at the archived
+// offering. Returns a report with one entry per requested course.
+const rolloverCourses = async (courseIds, academicYear, { archive = true } = {}) => {
+  const report = { rolledOver: [], skipped: [] };
+  const terms = {};
+
+  for (const courseId of courseIds) {
+    const course = await Course.findById(courseId);
+
+    if (!course) {
+      report.skipped.push({ course: courseId, reason: 'Course not found' });
+      continue;
+    }
+    if (course.academicYear === academicYear) {
+      report.skipped.push({ course: courseId, code: course.code, reason: 'Course already belongs to the target year' });
+      continue;
+    }
+
+    if (!(course.semester in terms)) {
+      terms[course.semester] = await findTerm({ academicYear, semester: course.semester });
+    }
+    const term = terms[course.semester];
+    if (!term) {
+      report.skipped.push({ course: courseId, code: course.code, reason: `Term ${course.semester} ${academicYear} is not configured` });
+      continue;
+    }
+
+    const existing = await Course.findOne({ code: course.code, academicYear: term.academicYear, semester: term.semester });
+    if (existing) {
+      report.skipped.push({ course: courseId, code: course.code, reason: `Already offered in the target term (${existing._id})` });
+      continue;
+    }
+
+    const offering = await Course.create(cloneOffering(course, term));
+
+    if (archive && !course.archivedAt) {
+      course.isActive = false;
+      course.archivedAt = new Date();
+      await course.save();
+    }
+
+    report.rolledOver.push({ from: course._id, to: offering._id, code: course.code });
+  }
+
+  return report;
+};
+
+module.exports = {
+  rolloverCourses
+};
@@ -0,0 +1,77 @@
+// Course staff: the responsible professor (Course.professor) plus lecturers
+// and TD/TP chargés attached to specific schedule sessions (Course.staff).
+import { getSessionStudents } from './courseGroups.js';
+
+const STAFF_SESSION_TYPES = {
+  lecturer: 'Lecture',
+  td_instructor: 'TD',
+  tp_instructor: 'TP'
+};
+
+const STAFF_ASSESSMENT_TYPES = {
+  lecturer: ['Test', 'Exam', 'Project'],
+  td_instructor: ['TD'],
+  tp_instructor: ['TP']
+};
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+const isCourseProfessor = (course, userId) => idOf(course.professor) === userId.toString();
+
+const getStaffEntries = (course, userId) => {
+  return (course.staff || []).filter(s => idOf(s.user) === userId.toString());
+};
+
+const isCourseStaff = (course, userId) => {
+  return isCourseProfessor(course, userId) || getStaffEntries(course, userId).length > 0;
+};
+
+// Query matching every course a user teaches in any capacity
+const taughtCoursesQuery = (userId) => ({
+  $or: [{ professor: userId }, { 'staff.user': userId }]
+});
+
+// Schedule sessions a user teaches: all of them for the responsible
+// professor, only the assigned ones for other staff.
+const getTaughtSessions = (course, userId) => {
+  if (isCourseProfessor(course, userId)) return course.schedule;
+
+  const sessionIds = new Set(
+    getStaffEntries(course, userId).flatMap(s => s.sessions.map(id => id.toString()))
+  );
+  return course.schedule.filter(session => sessionIds.has(session._id.toString()));
+};
+
+// What a staff member (who is not the responsible professor) may record.
+// Returns null when the user is not restricted, i.e. admins, the course
+// professor, or users granted access through a scoped role.
+const getStaffRestrictions = (user, course) => {
+  if (user.role === 'admin' || isCourseProfessor(course, user.id)) return null;
+
+  const entries = getStaffEntries(course, user.id);
+  if (entries.length === 0) return null;
+
+  return {
+    sessionTypes: [...new Set(entries.map(s => STAFF_SESSION_TYPES[s.role]))],
+    assessmentTypes: [...new Set(entries.flatMap(s => STAFF_ASSESSMENT_TYPES[s.role]))],
+    sessions: entries.flatMap(s => s.sessions.map(id => id.toString()))
+  };
+};
+
+// Students expected at the sessions of a restricted staff member, as a set
+// of ids. restrictions comes from getStaffRestrictions.
+const getStaffStudents = (course, restrictions) => {
+  const sessions = course.schedule.filter(s => restrictions.sessions.includes(s._id.toString()));
+  return new Set(sessions.flatMap(session => getSessionStudents(course, session)));
+};
+
+module.exports = {
+  STAFF_SESSION_TYPES,
+  STAFF_ASSESSMENT_TYPES,
+  isCourseProfessor,
+  isCourseStaff,
+  taughtCoursesQuery,
+  getTaughtSessions,
+  getStaffRestrictions,
+  getStaffStudents
+};
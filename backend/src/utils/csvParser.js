@@ -0,0 +1,85 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF).
+// Accepts ',' or ';' separators since Excel exports in French locales use ';'.
+
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+const parseRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Returns one object per data row keyed by the trimmed header names
+const parseCsv = (input) => {
+  const text = input.toString('utf8').replace(/^\uFEFF/, '');
+  const [header = [], ...rows] = parseRows(text, detectDelimiter(text));
+  const columns = header.map(h => h.trim());
+
+  return {
+    columns,
+    rows: rows.map(values => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = (values[index] || '').trim();
+      });
+      return record;
+    })
+  };
+};
+
+const escapeField = (value) => {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",;\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(escapeField).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,247 @@
+import Grade from '../models/Grade.js';
+import Course from '../models/Course.js';
+import { getCurrentTerm } from './academicTerm.js';
+import { PASS_MARK, MIN_CREDITS_WITH_DEBTS, CYCLES } from '../config/lmd.js';
+
+const round = (value) => Number(value.toFixed(2));
+
+// Null while any item is still waiting for its grade
+const weightedAverage = (items) => {
+  if (items.some(item => item.average === null)) return null;
+  const totalCoefficient = items.reduce((sum, item) => sum + item.coefficient, 0);
+  if (totalCoefficient === 0) return null;
+  return round(items.reduce((sum, item) => sum + item.average * item.coefficient, 0) / totalCoefficient);
+};
+
+const sumCredits = (items) => items.reduce((sum, item) => sum + item.credits, 0);
+
+// Each compensation level acquires all the credits below it: a module at or
+// above the pass mark, then its unit, its semester and finally the year.
+const acquire = (item, children) => {
+  item.acquired = item.average !== null && item.average >= PASS_MARK;
+  if (item.acquired) {
+    const markAcquired = (node) => {
+      node.acquiredCredits = node.credits;
+      (node.modules || node.units || node.semesters || []).forEach(markAcquired);
+    };
+    markAcquired(item);
+  } else {
+    item.acquiredCredits = children.reduce((sum, child) => sum + child.acquiredCredits, 0);
+  }
+  return item;
+};
+
+// Unit average: modules weighted by coefficient. Modules without a
+// teaching unit are units of their own and cannot be compensated.
+const computeUnits = (modules) => {
+  const units = new Map();
+  modules.forEach(module => {
+    const code = module.teachingUnit?.code || module.code;
+    if (!units.has(code)) {
+      units.set(code, { code, type: module.teachingUnit?.type || null, modules: [] });
+    }
+    units.get(code).modules.push(module);
+  });
+
+  return [...units.values()].map(unit => {
+    unit.coefficient = unit.modules.reduce((sum, m) => sum + m.coefficient, 0);
+    unit.credits = sumCredits(unit.modules);
+    unit.average = weightedAverage(unit.modules);
+    return acquire(unit, unit.modules);
+  });
+};
+
+const computeSemester = (semester, modules) => {
+  modules.forEach(module => acquire(module, []));
+  const units = computeUnits(modules);
+
+  return acquire({
+    semester,
+    units,
+    coefficient: units.reduce((sum, u) => sum + u.coefficient, 0),
+    credits: sumCredits(units),
+    average: weightedAverage(units)
+  }, units);
+};
+
+// The attempt that counts for each module: the best passing grade, which is
+// capitalised, otherwise the most recent one.
+const selectAttempts = (grades) => {
+  const byCode = new Map();
+  grades.forEach(grade => {
+    const code = grade.course.code;
+    const current = byCode.get(code);
+    const passed = grade.finalGrade >= PASS_MARK;
+
+    if (!current ||
+      (passed && (current.finalGrade < PASS_MARK || grade.finalGrade > current.finalGrade)) ||
+      (!passed && current.finalGrade < PASS_MARK && grade.academicYear > current.academicYear)) {
+      byCode.set(code, grade);
+    }
+  });
+  return byCode;
+};
+
+const toModule = (course, grade = null) => ({
+  course: course._id,
+  code: course.code,
+  name: course.name,
+  teachingUnit: course.teachingUnit?.code ? course.teachingUnit : null,
+  semester: course.semester,
+  coefficient: course.coefficient || 1,
+  credits: course.credits,
+  average: grade?.finalGrade ?? null,
+  session: grade?.session || null,
+  academicYear: grade?.academicYear || course.academicYear
+});
+
+const MODULE_FIELDS = 'code name level semester credits coefficient teachingUnit academicYear';
+
+const levelGradesQuery = (academicYear, publishedOnly) => ({
+  academicYear: { $lte: academicYear },
+  finalGrade: { $ne: null },
+  ...(publishedOnly && { isPublished: true })
+});
+
+// Results of one student from their grades and the courses of the level
+// they are enrolled in
+const buildLevelResult = (grades, enrolled, level, academicYear) => {
+  const attempts = selectAttempts(grades.filter(g => g.course?.level === level));
+  const modules = [...attempts.values()].map(grade => toModule(grade.course, grade));
+  enrolled
+    .filter(course => !attempts.has(course.code))
+    .forEach(course => modules.push(toModule(course)));
+
+  const complete = modules.length > 0 && modules.every(m => m.average !== null);
+  const semesters = ['S1', 'S2']
+    .map(semester => {
+      const semesterModules = modules.filter(m => m.semester === semester);
+      return semesterModules.length > 0 ? computeSemester(semester, semesterModules) : null;
+    })
+    .filter(Boolean);
+
+  const result = {
+    level,
+    academicYear,
+    semesters,
+    credits: sumCredits(semesters),
+    average: complete && semesters.length > 0
+      ? round(semesters.reduce((sum, s) => sum + s.average, 0) / semesters.length)
+      : null,
+    complete
+  };
+
+  // Annual compensation between the two semesters
+  acquire(result, semesters);
+  result.debts = semesters
+    .flatMap(s => s.units)
+    .flatMap(u => u.modules)
+    .filter(m => m.acquiredCredits < m.credits)
+    .map(m => ({ code: m.code, name: m.name, credits: m.credits, average: m.average }));
+
+  return result;
+};
+
+// Unit, semester and year results of a student for one level, using every
+// attempt up to the given academic year. Enrolled modules without a grade
+// yet make the result incomplete. With publishedOnly the result is built
+// from what the student can see.
+const computeLevelResult = async (studentId, level, academicYear, { publishedOnly = false } = {}) => {
+  const [found, enrolled] = await Promise.all([
+    Grade.find({ student: studentId, ...levelGradesQuery(academicYear, publishedOnly) })
+      .populate('course', MODULE_FIELDS),
+    Course.find({ enrolledStudents: studentId, level, academicYear }).select(MODULE_FIELDS)
+  ]);
+  const grades = publishedOnly ? found.map(grade => grade.toStudentView()) : found;
+
+  return buildLevelResult(grades, enrolled, level, academicYear);
+};
+
+// computeLevelResult for many students at once, e.g. a whole course, with
+// the same two queries. Returns a Map of results by student id.
+const computeLevelResults = async (studentIds, level, academicYear, { publishedOnly = false } = {}) => {
+  const [found, enrolled] = await Promise.all([
+    Grade.find({ student: { $in: studentIds }, ...levelGradesQuery(academicYear, publishedOnly) })
+      .populate('course', MODULE_FIELDS),
+    Course.find({ enrolledStudents: { $in: studentIds }, level, academicYear })
+      .select(`${MODULE_FIELDS} enrolledStudents`)
+  ]);
+  const grades = publishedOnly ? found.map(grade => grade.toStudentView()) : found;
+
+  const gradesByStudent = new Map();
+  grades.forEach(grade => {
+    const id = grade.student.toString();
+    gradesByStudent.set(id, [...(gradesByStudent.get(id) || []), grade]);
+  });
+
+  return new Map(studentIds.map(studentId => {
+    const id = studentId.toString();
+    const courses = enrolled.filter(course => course.enrolledStudents.some(s => s.toString() === id));
+    return [id, buildLevelResult(gradesByStudent.get(id) || [], courses, level, academicYear)];
+  }));
+};
+
+const previousLevel = (level) => {
+  const cycle = Object.values(CYCLES).find(levels => levels.includes(level));
+  const index = cycle.indexOf(level);
+  return index > 0 ? cycle[index - 1] : null;
+};
+
+const isFinalLevel = (level) => Object.values(CYCLES).some(levels => levels[levels.length - 1] === level);
+
+// Year-end decision for a student at a level:
+//   admis             - every credit of the year acquired
+//   admis avec dettes - enough credits and no debt left from the level
+//                       before; never on the last level of a cycle
+//   ajourné           - otherwise
+const deliberate = async (student, academicYear, level = student.level, options = {}) => {
+  const result = await computeLevelResult(student._id, level, academicYear, options);
+
+  const previous = previousLevel(level);
+  const previousResult = previous ? await computeLevelResult(student._id, previous, academicYear, options) : null;
+  const previousCleared = !previousResult || previousResult.debts.length === 0;
+
+  let decision;
+  if (!result.complete) {
+    decision = 'pending';
+  } else if (result.acquiredCredits === result.credits && previousCleared) {
+    decision = 'admis';
+  } else if (!isFinalLevel(level) && result.acquiredCredits >= MIN_CREDITS_WITH_DEBTS && previousCleared) {
+    decision = 'admis_avec_dettes';
+  } else {
+    decision = 'ajourne';
+  }
+
+  return {
+    student: student._id,
+    ...result,
+    previousLevelDebts: previousResult?.debts || [],
+    decision
+  };
+};
+
+// Summary of the current year used by dashboards and analytics
+const getStudentStanding = async (student, options = {}) => {
+  const term = await getCurrentTerm();
+  if (!term || !student.level) return null;
+
+  const result = await deliberate(student, term.academicYear, student.level, options);
+  return {
+    academicYear: term.academicYear,
+    level: result.level,
+    average: result.average,
+    semesters: result.semesters.map(s => ({ semester: s.semester, average: s.average, acquiredCredits: s.acquiredCredits })),
+    credits: result.credits,
+    acquiredCredits: result.acquiredCredits,
+    debts: result.debts.length + result.previousLevelDebts.length,
+    decision: result.decision
+  };
+};
+
+module.exports = {
+  computeSemester,
+  computeLevelResult,
+  computeLevelResults,
+  deliberate,
+  getStudentStanding
+};
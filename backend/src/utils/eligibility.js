@@ -0,0 +1,79 @@
+import Grade from '../models/Grade.js';
+import Course from '../models/Course.js';
+import { PASS_MARK } from '../config/lmd.js';
+
+const LEVELS = ['L1', 'L2', 'L3', 'M1', 'M2'];
+
+// Best published final grade per course code, and the codes the student is
+// currently enrolled in
+const loadAcademicRecord = async (studentId) => {
+  const [published, enrolled] = await Promise.all([
+    Grade.find({ student: studentId, finalGrade: { $ne: null }, isPublished: true }).populate('course', 'code'),
+    Course.find({ enrolledStudents: studentId, isActive: true }).select('code')
+  ]);
+  const grades = published.map(grade => grade.toStudentView());
+
+  const bestGrades = new Map();
+  grades.forEach(grade => {
+    const code = grade.course?.code;
+    if (code && (!bestGrades.has(code) || grade.finalGrade > bestGrades.get(code))) {
+      bestGrades.set(code, grade.finalGrade);
+    }
+  });
+
+  return {
+    bestGrades,
+    enrolledCodes: new Set(enrolled.map(c => c.code))
+  };
+};
+
+// Evaluates the level, prerequisite and co-requisite rules of a course.
+// Returns { eligible, reasons } where each reason explains a failed rule.
+const checkEligibility = (course, student, record) => {
+  const reasons = [];
+
+  if (LEVELS.indexOf(course.level) > LEVELS.indexOf(student.level)) {
+    reasons.push({
+      rule: 'level',
+      message: `Course is for ${course.level} students, you are in ${student.level}`
+    });
+  }
+
+  (course.prerequisites || []).forEach(({ code, minGrade }) => {
+    const grade = record.bestGrades.get(code);
+    if (grade === undefined) {
+      reasons.push({ rule: 'prerequisite', code, message: `Prerequisite ${code} has not been taken` });
+    } else if (grade < minGrade) {
+      reasons.push({
+        rule: 'prerequisite',
+        code,
+        message: `Prerequisite ${code} requires ${minGrade}/20, your best grade is ${grade}/20`
+      });
+    }
+  });
+
+  (course.corequisites || []).forEach(code => {
+    const passed = (record.bestGrades.get(code) ?? -1) >= PASS_MARK;
+    if (!passed && !record.enrolledCodes.has(code)) {
+      reasons.push({
+        rule: 'corequisite',
+        code,
+        message: `Co-requisite ${code} must be passed or taken in the same semester`
+      });
+    }
+  });
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+const getEligibility = async (course, student) => {
+  const record = await loadAcademicRecord(student._id);
+  return checkEligibility(course, student, record);
+};
+
+module.exports = {
+  LEVELS,
+  loadAcademicRecord,
+  checkEligibility,
+  getEligibility
+};
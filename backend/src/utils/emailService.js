@@ -1,23 +1,29 @@
 import nodemailer from 'nodemailer';
 
+// Auth is optional so a local SMTP capture server (MailHog, Mailpit, ...)
+// can be used in development by only setting EMAIL_HOST and EMAIL_PORT.
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
+    port: Number(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === 'true',
+    ...(process.env.EMAIL_USER && {
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    })
   });
 };
 
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:8081'}${path}`;
+
 const sendEmail = async (options) => {
   try {
     const transporter = createTransporter();
 
     const mailOptions = {
-      from: `USTHB Portal <${process.env.EMAIL_USER}>`,
+      from: `USTHB Portal <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
       to: options.email,
       subject: options.subject,
       text: options.message,
@@ -45,6 +51,38 @@ const emailTemplates = {
   examReminder: (studentName, courseName, examDate, examTime, room) => ({
     subject: `Exam Reminder: ${courseName}`,
     html: `<h2>Upcoming Exam</h2><p>Course: ${courseName}<br>Date: ${examDate}<br>Time: ${examTime}<br>Room: ${room}</p>`
+  }),
+  verifyEmail: (name, link) => ({
+    subject: 'Verify your USTHB Portal email',
+    html: `<h2>Email Verification</h2><p>Dear ${name}, please confirm your email address by opening the link below. It expires in 24 hours.</p><p><a href="${link}">${link}</a></p>`
+  }),
+  passwordReset: (name, link) => ({
+    subject: 'Reset your USTHB Portal password',
+    html: `<h2>Password Reset</h2><p>Dear ${name}, a password reset was requested for your account. The link below expires in 1 hour and can only be used once.</p><p><a href="${link}">${link}</a></p><p>If you did not request this, you can ignore this email.</p>`
+  }),
+  invitation: (role, code, link, expiresAt) => ({
+    subject: `Invitation to join USTHB Portal as ${role}`,
+    html: `<h2>You are invited</h2><p>You have been invited to create a ${role} account on USTHB Portal.</p><p>Invitation code: <strong>${code}</strong></p><p>Register here: <a href="${link}">${link}</a></p><p>This invitation expires on ${expiresAt.toDateString()}.</p>`
+  }),
+  twoFactorReset: (name) => ({
+    subject: 'Two-factor authentication reset on your USTHB Portal account',
+    html: `<h2>Two-Factor Authentication Reset</h2><p>Dear ${name}, an administrator has reset the two-factor authentication of your account and signed out all your devices. You will be asked to enrol a new authenticator at your next login. If you did not request this, contact the administration immediately.</p>`
+  }),
+  newDeviceLogin: (name, device, ipAddress, date) => ({
+    subject: 'New sign-in to your USTHB Portal account',
+    html: `<h2>New Device Sign-in</h2><p>Dear ${name}, your account was just used to sign in from a new device.</p><p>Device: ${device}<br>IP address: ${ipAddress}<br>Date: ${date.toUTCString()}</p><p>If this was not you, change your password and revoke the session from your account settings.</p>`
+  }),
+  absenceWarning: (name, courseName, sessionType, stage, unjustified, total) => ({
+    subject: stage === 'excluded'
+      ? `Exclusion from the ${sessionType} sessions of ${courseName}`
+      : `Absence warning: ${courseName} (${sessionType})`,
+    html: stage === 'excluded'
+      ? `<h2>Exclusion for Absences</h2><p>Dear ${name}, you are excluded from the ${sessionType} sessions of ${courseName} after ${total} absence(s), ${unjustified} of them unjustified. Contact your department if you believe this is an error.</p>`
+      : `<h2>Absence Warning</h2><p>Dear ${name}, you have ${total} absence(s) in the ${sessionType} sessions of ${courseName}, ${unjustified} of them unjustified. One more absence may exclude you from these sessions. Justify your absences from your attendance page.</p>`
+  }),
+  passwordChanged: (name) => ({
+    subject: 'Your USTHB Portal password was changed',
+    html: `<h2>Password Changed</h2><p>Dear ${name}, your password has been changed and all your devices were signed out. If this was not you, contact the administration immediately.</p>`
   })
 };
 
@@ -63,8 +101,51 @@ const sendExamReminder = async (email, studentName, courseName, examDate, examTi
   return await sendEmail({ email, ...template });
 };
 
+const sendVerificationEmail = async (email, name, token) => {
+  const template = emailTemplates.verifyEmail(name, clientUrl(`/verify-email?token=${token}`));
+  return await sendEmail({ email, ...template });
+};
+
+const sendPasswordResetEmail = async (email, name, token) => {
+  const template = emailTemplates.passwordReset(name, clientUrl(`/reset-password?token=${token}`));
+  return await sendEmail({ email, ...template });
+};
+
+const sendPasswordChangedEmail = async (email, name) => {
+  const template = emailTemplates.passwordChanged(name);
+  return await sendEmail({ email, ...template });
+};
+
+const sendInvitationEmail = async (email, role, code, expiresAt) => {
+  const link = clientUrl(`/register?invitation=${code}&email=${encodeURIComponent(email)}`);
+  const template = emailTemplates.invitation(role, code, link, expiresAt);
+  return await sendEmail({ email, ...template });
+};
+
+const sendAbsenceWarningEmail = async (email, name, courseName, sessionType, stage, unjustified, total) => {
+  const template = emailTemplates.absenceWarning(name, courseName, sessionType, stage, unjustified, total);
+  return await sendEmail({ email, ...template });
+};
+
+const sendTwoFactorResetEmail = async (email, name) => {
+  const template = emailTemplates.twoFactorReset(name);
+  return await sendEmail({ email, ...template });
+};
+
+const sendNewDeviceLoginEmail = async (email, name, device, ipAddress, date) => {
+  const template = emailTemplates.newDeviceLogin(name, device, ipAddress, date);
+  return await sendEmail({ email, ...template });
+};
+
 module.exports = {
   sendEmail,
+  sendAbsenceWarningEmail,
+  sendNewDeviceLoginEmail,
+  sendTwoFactorResetEmail,
+  sendInvitationEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
   sendWelcomeEmail,
   sendGradeNotification,
   sendExamReminder
@@ -0,0 +1,226 @@
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import { ErrorResponse } from '../middleware/errorHandler.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+import { inTransaction } from './transaction.js';
+
+// How long a promoted student has to confirm their seat
+const OFFER_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 48;
+
+// Course.enrolledStudents is the source of truth; User.enrolledCourses is
+// kept in sync in the same transaction so the two lists cannot drift.
+
+// Seats taken: enrolled students plus outstanding waitlist offers
+const hasFreeSeatExpr = (now) => ({
+  $lt: [
+    {
+      $add: [
+        { $size: '$enrolledStudents' },
+        { $size: { $filter: { input: { $ifNull: ['$waitlist', []] }, as: 'entry', cond: { $gt: ['$$entry.offerExpiresAt', now] } } } }
+      ]
+    },
+    '$maxStudents'
+  ]
+});
+
+const getWaitlistEntry = (course, studentId) => {
+  return course.waitlist.find(entry => entry.student.toString() === studentId.toString());
+};
+
+const hasActiveOffer = (entry, now = new Date()) => Boolean(entry?.offerExpiresAt && entry.offerExpiresAt > now);
+
+// Drops lapsed offers and offers the freed seats to the next students in
+// line. Each offer is a conditional update so concurrent calls cannot offer
+// more seats than are free.
+const processWaitlist = async (courseId, io = null) => {
+  const now = new Date();
+
+  const course = await Course.findByIdAndUpdate(
+    courseId,
+    { $pull: { waitlist: { offerExpiresAt: { $lte: now } } } },
+    { new: true }
+  );
+  if (!course) return [];
+
+  const offered = [];
+  const expiresAt = new Date(now.getTime() + OFFER_HOURS * 60 * 60 * 1000);
+
+  for (const entry of course.waitlist.filter(e => !e.offerExpiresAt)) {
+    const result = await Course.updateOne(
+      {
+        _id: courseId,
+        waitlist: { $elemMatch: { student: entry.student, offerExpiresAt: null } },
+        $expr: hasFreeSeatExpr(now)
+      },
+      { $set: { 'waitlist.$.offeredAt': now, 'waitlist.$.offerExpiresAt': expiresAt } }
+    );
+    if (result.modifiedCount === 0) break;
+
+    offered.push(entry.student);
+    const notification = await notificationHelpers.waitlistOffer(entry.student, course, expiresAt);
+    if (io && notification) {
+      sendRealtimeNotification(io, entry.student, notification);
+    }
+  }
+
+  return offered;
+};
+
+// Offer sweep: passes the seats of lapsed offers on to the next students
+// in line, even when nobody enrolls or leaves in the meantime
+const expireWaitlistOffers = async (io = null) => {
+  const courses = await Course.find({ 'waitlist.offerExpiresAt': { $lte: new Date() } }).select('_id');
+
+  let offered = 0;
+  for (const course of courses) {
+    offered += (await processWaitlist(course._id, io)).length;
+  }
+  return { courses: courses.length, offered };
+};
+
+// Enrolls the student if a seat is free, otherwise queues them.
+// Returns { status: 'enrolled' | 'waitlisted', course, position }.
+const enrollStudent = async (courseId, studentId) => {
+  await processWaitlist(courseId);
+
+  return inTransaction(async (session) => {
+    const now = new Date();
+
+    const course = await Course.findOneAndUpdate(
+      {
+        _id: courseId,
+        isActive: true,
+        enrolledStudents: { $ne: studentId },
+        'waitlist.student': { $ne: studentId },
+        $expr: hasFreeSeatExpr(now)
+      },
+      { $push: { enrolledStudents: studentId } },
+      { new: true, session }
+    );
+
+    if (course) {
+      await User.updateOne({ _id: studentId }, { $addToSet: { enrolledCourses: course._id } }, { session });
+      return { status: 'enrolled', course };
+    }
+
+    const current = await Course.findById(courseId).session(session);
+    if (!current) {
+      throw new ErrorResponse('Course not found', 404);
+    }
+    if (!current.isActive) {
+      throw new ErrorResponse('Course is not open for enrollment', 400);
+    }
+    if (current.enrolledStudents.some(id => id.toString() === studentId.toString())) {
+      throw new ErrorResponse('Already enrolled in this course', 400);
+    }
+
+    const entry = getWaitlistEntry(current, studentId);
+    if (hasActiveOffer(entry, now)) {
+      throw new ErrorResponse('A seat is reserved for you, confirm it to enroll', 400);
+    }
+    if (entry) {
+      throw new ErrorResponse('Already on the waitlist for this course', 400);
+    }
+
+    const waitlisted = await Course.findOneAndUpdate(
+      { _id: courseId, 'waitlist.student': { $ne: studentId }, enrolledStudents: { $ne: studentId } },
+      { $push: { waitlist: { student: studentId, joinedAt: now } } },
+      { new: true, session }
+    );
+
+    return {
+      status: 'waitlisted',
+      course: waitlisted,
+      position: waitlisted.waitlist.findIndex(e => e.student.toString() === studentId.toString()) + 1
+    };
+  });
+};
+
+// Confirms the seat offered to a promoted student
+const confirmOffer = async (courseId, studentId) => {
+  return inTransaction(async (session) => {
+    const course = await Course.findOneAndUpdate(
+      {
+        _id: courseId,
+        waitlist: { $elemMatch: { student: studentId, offerExpiresAt: { $gt: new Date() } } }
+      },
+      {
+        $pull: { waitlist: { student: studentId } },
+        $addToSet: { enrolledStudents: studentId }
+      },
+      { new: true, session }
+    );
+
+    if (!course) {
+      throw new ErrorResponse('No pending seat offer for this course, or the offer has expired', 400);
+    }
+
+    await User.updateOne({ _id: studentId }, { $addToSet: { enrolledCourses: course._id } }, { session });
+    return course;
+  });
+};
+
+const unenrollStudent = async (courseId, studentId, io = null) => {
+  const course = await inTransaction(async (session) => {
+    const updated = await Course.findOneAndUpdate(
+      { _id: courseId, enrolledStudents: studentId },
+      {
+        $pull: {
+          enrolledStudents: studentId,
+          'groups.$[].students': studentId
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new ErrorResponse('Not enrolled in this course', 400);
+    }
+
+    await User.updateOne({ _id: studentId }, { $pull: { enrolledCourses: updated._id } }, { session });
+    return updated;
+  });
+
+  await processWaitlist(courseId, io);
+  return course;
+};
+
+const leaveWaitlist = async (courseId, studentId, io = null) => {
+  const course = await Course.findOneAndUpdate(
+    { _id: courseId, 'waitlist.student': studentId },
+    { $pull: { waitlist: { student: studentId } } }
+  );
+
+  if (!course) {
+    throw new ErrorResponse('Not on the waitlist for this course', 400);
+  }
+
+  // A declined offer frees the reserved seat
+  if (hasActiveOffer(getWaitlistEntry(course, studentId))) {
+    await processWaitlist(courseId, io);
+  }
+};
+
+// Position of a student in the queue, or null if they are not waiting
+const getWaitlistPosition = (course, studentId) => {
+  const index = course.waitlist.findIndex(e => e.student.toString() === studentId.toString());
+  if (index === -1) return null;
+
+  const entry = course.waitlist[index];
+  return {
+    position: index + 1,
+    total: course.waitlist.length,
+    joinedAt: entry.joinedAt,
+    offer: hasActiveOffer(entry) ? { offeredAt: entry.offeredAt, expiresAt: entry.offerExpiresAt } : null
+  };
+};
+
+module.exports = {
+  processWaitlist,
+  expireWaitlistOffers,
+  enrollStudent,
+  confirmOffer,
+  unenrollStudent,
+  leaveWaitlist,
+  getWaitlistPosition
+};
@@ -0,0 +1,153 @@
+import GradeAppeal from '../models/GradeAppeal.js';
+import GradeSheet from '../models/GradeSheet.js';
+import { snapshotGrade, saveGradeChange } from './gradeAudit.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+
+// How long after publication students can contest a grade
+const APPEAL_WINDOW_DAYS = parseInt(process.env.GRADE_APPEAL_WINDOW_DAYS, 10) || 7;
+
+// The window restarts whenever the sheet is published again after a
+// correction. Returns null while the grade is not published.
+const getAppealDeadline = async (grade) => {
+  if (!grade.isPublished) return null;
+
+  const sheet = await GradeSheet.findOne({
+    course: grade.course._id || grade.course,
+    semester: grade.semester,
+    academicYear: grade.academicYear,
+    session: 'normal'
+  });
+  const publishedAt = sheet?.publishedAt || grade.firstPublishedAt;
+  if (!publishedAt) return null;
+
+  return new Date(publishedAt.getTime() + APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Checks that a student can contest an assessment. Returns an error
+// message or null.
+const checkAppealable = async (grade, assessmentId, studentId) => {
+  if (grade.student.toString() !== studentId) {
+    return 'You can only contest your own grades';
+  }
+  if (!grade.assessments.id(assessmentId)) {
+    return 'Assessment not found';
+  }
+
+  const deadline = await getAppealDeadline(grade);
+  if (!deadline) {
+    return 'Grades can only be contested once published';
+  }
+  if (deadline < new Date()) {
+    return `The appeal window closed on ${deadline.toUTCString()}`;
+  }
+
+  const open = await GradeAppeal.exists({
+    assessment: assessmentId,
+    status: { $in: ['pending', 'consultation'] }
+  });
+  if (open) {
+    return 'An appeal is already open for this assessment';
+  }
+  return null;
+};
+
+const notify = async (io, recipient, notification) => {
+  if (io && notification) {
+    sendRealtimeNotification(io, recipient, notification);
+  }
+};
+
+const openAppeal = async (grade, { assessment, reason }, studentId, io = null) => {
+  const contested = grade.assessments.id(assessment);
+
+  const appeal = await GradeAppeal.create({
+    grade: grade._id,
+    assessment,
+    assessmentType: contested.type,
+    originalScore: contested.score,
+    course: grade.course._id,
+    student: studentId,
+    reason
+  });
+
+  const notification = await notificationHelpers.gradeAppealOpened(grade.course.professor, grade.course, appeal);
+  await notify(io, grade.course.professor, notification);
+  return appeal;
+};
+
+const scheduleConsultation = async (appeal, { date, location, notes }, userId, io = null) => {
+  if (!appeal.isOpen()) {
+    return `Cannot schedule a consultation for a ${appeal.status} appeal`;
+  }
+  if (!date || Number.isNaN(new Date(date).getTime())) {
+    return 'A valid consultation date is required';
+  }
+
+  appeal.consultation = { date, location, notes, scheduledBy: userId };
+  appeal.status = 'consultation';
+  await appeal.save();
+
+  const notification = await notificationHelpers.gradeAppealUpdated(appeal.student, appeal.course, appeal);
+  await notify(io, appeal.student, notification);
+  return null;
+};
+
+// Accepting an appeal changes the assessment score directly, even though the
+// sheet is published: the appeal is the sanctioned path to correct it, and
+// the change is recorded in the grade audit trail with the appeal as reason.
+const resolveAppeal = async (appeal, { decision, score, comment }, audit, io = null) => {
+  if (!appeal.isOpen()) {
+    return `Appeal is already ${appeal.status}`;
+  }
+  if (!['accepted', 'rejected'].includes(decision)) {
+    return 'Decision must be accepted or rejected';
+  }
+  if (!comment) {
+    return 'A comment explaining the decision is required';
+  }
+
+  if (decision === 'accepted') {
+    await appeal.populate('grade');
+    const grade = appeal.grade;
+    const assessment = grade?.assessments.id(appeal.assessment);
+    if (!assessment) {
+      return 'The contested assessment no longer exists';
+    }
+
+    // Scores are on the scale of the assessment, e.g. a test marked out of 10
+    const newScore = Number(score);
+    if (score === undefined || score === null || Number.isNaN(newScore) || newScore < 0 || newScore > assessment.maxScore) {
+      return `A new score between 0 and ${assessment.maxScore} is required to accept an appeal`;
+    }
+
+    const before = snapshotGrade(grade);
+    assessment.score = newScore;
+    await saveGradeChange(grade, before, {
+      ...audit,
+      action: 'assessment_update',
+      reason: `Grade appeal ${appeal._id}: ${comment}`
+    });
+
+    appeal.resolution.newScore = newScore;
+    appeal.resolution.maxScore = assessment.maxScore;
+  }
+
+  appeal.status = decision;
+  appeal.resolution.comment = comment;
+  appeal.resolution.resolvedBy = audit.actor;
+  appeal.resolution.resolvedAt = new Date();
+  await appeal.save();
+
+  const notification = await notificationHelpers.gradeAppealUpdated(appeal.student, appeal.course, appeal);
+  await notify(io, appeal.student, notification);
+  return null;
+};
+
+module.exports = {
+  APPEAL_WINDOW_DAYS,
+  getAppealDeadline,
+  checkAppealable,
+  openAppeal,
+  scheduleConsultation,
+  resolveAppeal
+};
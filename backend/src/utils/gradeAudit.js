@@ -0,0 +1,90 @@
+import GradeAudit from '../models/GradeAudit.js';
+import { inTransaction } from './transaction.js';
+
+const GRADE_FIELDS = ['semester', 'academicYear', 'finalGrade', 'status', 'session', 'remarks'];
+const MAKEUP_FIELDS = ['eligible', 'score', 'rule'];
+const ASSESSMENT_FIELDS = ['type', 'score', 'maxScore', 'weight', 'date', 'comments'];
+
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+// Flat map of the audited values of a grade, taken before and after a change
+const snapshotGrade = (grade) => {
+  if (!grade) return {};
+
+  const snapshot = {};
+  GRADE_FIELDS.forEach(field => { snapshot[field] = normalize(grade[field]); });
+  MAKEUP_FIELDS.forEach(field => { snapshot[`makeup.${field}`] = normalize(grade.makeup?.[field]); });
+  (grade.assessments || []).forEach(assessment => {
+    ASSESSMENT_FIELDS.forEach(field => {
+      snapshot[`assessments.${assessment._id}.${field}`] = normalize(assessment[field]);
+    });
+  });
+  return snapshot;
+};
+
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+// Once a grade has been released, changing it needs a justification.
+// Returns an error message or null.
+const checkChangeReason = (grade, reason, session = 'normal') => {
+  const published = session === 'makeup' ? grade?.makeup?.firstPublishedAt : grade?.firstPublishedAt;
+  if (published && !reason) {
+    return 'A reason is required to change a grade that has already been published';
+  }
+  return null;
+};
+
+// Appends an audit entry for a change. `before` is the snapshot taken
+// before the change, or {} for a new grade.
+const recordGradeChange = async (grade, before, { action, actor, reason, ipAddress }, session = null) => {
+  const after = action === 'delete' ? {} : snapshotGrade(grade);
+  const changes = diffSnapshots(before, after);
+  if (changes.length === 0) return null;
+
+  const [entry] = await GradeAudit.create([{
+    grade: grade._id,
+    course: grade.course._id || grade.course,
+    student: grade.student._id || grade.student,
+    actor,
+    action,
+    changes,
+    reason,
+    ipAddress
+  }], { session });
+  return entry;
+};
+
+// Saves a grade, or deletes it for a 'delete' audit, together with its
+// audit entry: either both are written or neither is. Returns the entry,
+// null when nothing audited changed.
+const saveGradeChange = (grade, before, audit) => {
+  return inTransaction(async (session) => {
+    if (audit.action === 'delete') {
+      await grade.deleteOne({ session });
+    } else {
+      await grade.save({ session });
+    }
+    return recordGradeChange(grade, before, audit, session);
+  });
+};
+
+// Audit context of a request, for recordGradeChange
+const auditContext = (req, action) => ({
+  action,
+  actor: req.user.id,
+  reason: req.body?.reason,
+  ipAddress: req.ip
+});
+
+module.exports = {
+  snapshotGrade,
+  checkChangeReason,
+  recordGradeChange,
+  saveGradeChange,
+  auditContext
+};
@@ -0,0 +1,284 @@
+// Course grade sheets as spreadsheets: one row per student (matricule), one
+// column per assessment named "<type> (<weight>%)", e.g. "Exam (60%)", or
+// "Test 2 (20%)" when a type has several assessments. The export produces
+// the template the import reads back.
+import Grade from '../models/Grade.js';
+import User from '../models/User.js';
+import { courseGradesQuery } from './makeup.js';
+import { ASSESSMENT_TYPES } from './assessmentScheme.js';
+import { snapshotGrade, checkChangeReason, saveGradeChange } from './gradeAudit.js';
+import { getStaffStudents } from './courseStaff.js';
+
+const IDENTITY_COLUMNS = ['studentId', 'lastName', 'firstName'];
+// Exported for information, ignored on import
+const READ_ONLY_COLUMNS = ['finalGrade', 'status'];
+
+const ASSESSMENT_COLUMN = /^(TD|TP|Test|Exam|Project)(?:\s+(\d+))?\s*\((\d+(?:[.,]\d+)?)\s*%\)$/i;
+
+const toPercent = (weight) => Number((weight * 100).toFixed(2));
+
+const assessmentColumn = ({ type, weight }, index = null) => {
+  return `${type}${index ? ` ${index}` : ''} (${toPercent(weight)}%)`;
+};
+
+const sameWeight = (a, b) => Math.abs(a - b) < 0.0001;
+
+// Assessment types and weights of a course: its assessment scheme, or the
+// weights already used by its grades when it has none
+const getCourseScheme = async (course, grades) => {
+  if (course.assessmentScheme?.length > 0) {
+    return course.assessmentScheme.map(({ type, weight, bestOf }) => ({ type, weight, bestOf }));
+  }
+
+  const scheme = [];
+  grades.forEach(grade => grade.assessments.forEach(({ type, weight }) => {
+    if (!scheme.some(s => s.type === type && sameWeight(s.weight, weight))) {
+      scheme.push({ type, weight });
+    }
+  }));
+
+  return scheme.sort((a, b) => ASSESSMENT_TYPES.indexOf(a.type) - ASSESSMENT_TYPES.indexOf(b.type) || b.weight - a.weight);
+};
+
+// Reads the assessment columns of a header row. Returns the columns and
+// the file-level errors that prevent any row from being imported.
+const parseHeader = (columns, course, restrictions) => {
+  const errors = [];
+  const assessments = [];
+  const scheme = course.assessmentScheme || [];
+
+  if (!columns.includes('studentId')) {
+    errors.push('Missing studentId column');
+  }
+
+  columns.forEach(column => {
+    if (!column || IDENTITY_COLUMNS.includes(column) || READ_ONLY_COLUMNS.includes(column)) return;
+
+    const match = column.match(ASSESSMENT_COLUMN);
+    if (!match) {
+      errors.push(`Unrecognized column "${column}", assessment columns look like "Exam (60%)"`);
+      return;
+    }
+
+    const type = ASSESSMENT_TYPES.find(t => t.toLowerCase() === match[1].toLowerCase());
+    const index = match[2] ? Number(match[2]) : null;
+    const weight = Number(match[3].replace(',', '.')) / 100;
+    const component = scheme.find(c => c.type === type);
+
+    if (assessments.some(a => a.type === type && a.index === index && sameWeight(a.weight, weight))) {
+      errors.push(`Duplicate column "${column}"`);
+    } else if (restrictions && !restrictions.assessmentTypes.includes(type)) {
+      errors.push(`You can only import ${restrictions.assessmentTypes.join(', ')} assessments for this course`);
+    } else if (scheme.length > 0 && !component) {
+      errors.push(`${type} is not part of the assessment scheme of this course`);
+    } else if (component && !sameWeight(component.weight, weight)) {
+      errors.push(`${column} does not match the scheme of this course, ${type} counts for ${toPercent(component.weight)}%`);
+    } else {
+      assessments.push({ column, type, index, weight });
+    }
+  });
+
+  if (columns.includes('studentId') && assessments.length === 0 && errors.length === 0) {
+    errors.push('No assessment columns found');
+  }
+
+  // Without a scheme the columns are the scheme. Staff restricted to some
+  // assessment types only upload their own columns.
+  const total = assessments.reduce((sum, a) => sum + a.weight, 0);
+  if (scheme.length === 0 && !restrictions && assessments.length > 0 && !sameWeight(total, 1)) {
+    errors.push(`Assessment weights add up to ${toPercent(total)}%, expected 100%`);
+  }
+
+  return { assessments, errors: [...new Set(errors)] };
+};
+
+// Validates a parsed spreadsheet without writing anything. Rows carry their
+// own errors; the import is only valid when neither the file nor any row
+// has errors.
+const previewGradeImport = async (course, { columns, rows }, { restrictions = null, reason } = {}) => {
+  const header = parseHeader(columns, course, restrictions);
+  if (header.errors.length > 0) {
+    return { valid: false, errors: header.errors, warnings: [], rows: [], summary: null };
+  }
+
+  const grades = await Grade.find(courseGradesQuery(course));
+
+  // Courses without a scheme: flag weights that differ from earlier grades
+  const warnings = [];
+  const scheme = await getCourseScheme(course, grades);
+  header.assessments.forEach(({ column, type, weight }) => {
+    const used = scheme.filter(s => s.type === type);
+    if (used.length > 0 && !used.some(s => sameWeight(s.weight, weight))) {
+      warnings.push(`${column} does not match the ${type} weight already used in this course (${used.map(s => `${toPercent(s.weight)}%`).join(', ')})`);
+    }
+  });
+
+  const students = await User.find({
+    studentId: { $in: rows.map(row => row.studentId).filter(Boolean) },
+    role: 'student'
+  }).select('firstName lastName studentId');
+  const enrolled = new Set(course.enrolledStudents.map(id => id.toString()));
+  const taught = restrictions && getStaffStudents(course, restrictions);
+
+  const seen = new Set();
+  const previewRows = rows.map((row, index) => {
+    const errors = [];
+    const studentId = row.studentId;
+    const student = students.find(s => s.studentId === studentId);
+
+    if (!studentId) {
+      errors.push('Missing studentId');
+    } else if (seen.has(studentId)) {
+      errors.push('Duplicate student in file');
+    } else if (!student) {
+      errors.push('Unknown student');
+    } else if (!enrolled.has(student._id.toString())) {
+      errors.push('Student is not enrolled in this course');
+    } else if (taught && !taught.has(student._id.toString())) {
+      errors.push('Student is not in one of your groups');
+    }
+    seen.add(studentId);
+
+    const assessments = [];
+    header.assessments.forEach(({ column, type, weight }) => {
+      const raw = row[column];
+      if (raw === undefined || raw === '') return;
+
+      const score = Number(raw.replace(',', '.'));
+      if (Number.isNaN(score) || score < 0 || score > 20) {
+        errors.push(`${column}: score "${raw}" must be between 0 and 20`);
+      } else {
+        assessments.push({ type, weight, score, maxScore: 20 });
+      }
+    });
+
+    const grade = student && grades.find(g => g.student.toString() === student._id.toString());
+    const reasonError = grade && checkChangeReason(grade, reason);
+    if (reasonError) errors.push(reasonError);
+
+    let action = grade ? 'update' : 'create';
+    if (assessments.length === 0) action = 'skip';
+
+    return {
+      line: index + 2,
+      studentId,
+      student: student && { _id: student._id, name: `${student.firstName} ${student.lastName}` },
+      grade: grade?._id,
+      action,
+      assessments,
+      errors
+    };
+  });
+
+  const summary = { total: previewRows.length, create: 0, update: 0, skip: 0, invalid: 0 };
+  previewRows.forEach(row => {
+    if (row.errors.length > 0) summary.invalid++;
+    else summary[row.action]++;
+  });
+
+  return {
+    valid: summary.invalid === 0,
+    errors: [],
+    warnings,
+    rows: previewRows,
+    summary
+  };
+};
+
+// Writes a valid preview. Assessments of the imported types are replaced,
+// other assessments (entered by other staff) are kept.
+const applyGradeImport = async (course, preview, audit) => {
+  let created = 0;
+  let updated = 0;
+
+  for (const row of preview.rows) {
+    if (row.action === 'skip') continue;
+
+    const types = row.assessments.map(a => a.type);
+
+    if (row.action === 'update') {
+      const grade = await Grade.findById(row.grade);
+      const before = snapshotGrade(grade);
+      grade.assessments = [...grade.assessments.filter(a => !types.includes(a.type)), ...row.assessments];
+      await saveGradeChange(grade, before, audit);
+      updated++;
+    } else {
+      const grade = new Grade({
+        student: row.student._id,
+        course: course._id,
+        semester: course.semester,
+        academicYear: course.academicYear,
+        assessments: row.assessments
+      });
+      await saveGradeChange(grade, {}, audit);
+      created++;
+    }
+  }
+
+  return { created, updated };
+};
+
+// One row per enrolled student, in the import template. TD/TP chargés
+// (restrictions) get the students of their groups and the columns of the
+// assessments they enter.
+const buildGradeExport = async (course, { restrictions = null } = {}) => {
+  const taught = restrictions && getStaffStudents(course, restrictions);
+  const studentIds = taught
+    ? course.enrolledStudents.filter(id => taught.has(id.toString()))
+    : course.enrolledStudents;
+
+  const [students, grades] = await Promise.all([
+    User.find({ _id: { $in: studentIds } })
+      .select('firstName lastName studentId')
+      .sort({ lastName: 1, firstName: 1 }),
+    Grade.find(courseGradesQuery(course))
+  ]);
+
+  const scheme = await getCourseScheme(course, grades);
+  const matches = (assessment, component) => {
+    return assessment.type === component.type && sameWeight(assessment.weight, component.weight);
+  };
+
+  // Numbered columns for types with several assessments, e.g. best 2 of 3 tests
+  const assessmentColumns = (scheme.length > 0 ? scheme : [{ type: 'Exam', weight: 1 }])
+    .filter(component => !restrictions || restrictions.assessmentTypes.includes(component.type))
+    .flatMap(component => {
+      const count = Math.max(
+        component.bestOf || 1,
+        ...grades.map(g => g.assessments.filter(a => matches(a, component)).length)
+      );
+      return Array.from({ length: count }, (_, i) => ({
+        ...component,
+        position: i,
+        column: assessmentColumn(component, count > 1 ? i + 1 : null)
+      }));
+    });
+
+  const rows = students.map(student => {
+    const grade = grades.find(g => g.student.toString() === student._id.toString());
+    const row = {
+      studentId: student.studentId,
+      lastName: student.lastName,
+      firstName: student.firstName,
+      finalGrade: grade?.finalGrade ?? '',
+      status: grade?.status ?? ''
+    };
+
+    assessmentColumns.forEach(component => {
+      const assessment = grade?.assessments.filter(a => matches(a, component))[component.position];
+      row[component.column] = assessment ? Number(((assessment.score / assessment.maxScore) * 20).toFixed(2)) : '';
+    });
+    return row;
+  });
+
+  return {
+    columns: [...IDENTITY_COLUMNS, ...assessmentColumns.map(a => a.column), ...READ_ONLY_COLUMNS],
+    rows
+  };
+};
+
+module.exports = {
+  previewGradeImport,
+  applyGradeImport,
+  buildGradeExport
+};
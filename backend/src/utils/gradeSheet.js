@@ -0,0 +1,129 @@
+import GradeSheet from '../models/GradeSheet.js';
+import Grade from '../models/Grade.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+import { sendGradeNotification } from './emailService.js';
+
+// draft → submitted → approved → published. Department heads return a
+// sheet to draft for corrections, and a published sheet can be withdrawn.
+const SHEET_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted', permission: 'grade:manage_session' },
+  approve: { from: ['submitted'], to: 'approved', permission: 'grade:approve' },
+  return: { from: ['submitted', 'approved'], to: 'draft', permission: 'grade:approve', requiresReason: true },
+  publish: { from: ['approved'], to: 'published', permission: 'grade:manage_session' },
+  unpublish: { from: ['published'], to: 'draft', permission: 'grade:approve', requiresReason: true }
+};
+
+const sheetKey = (course, session) => ({
+  course: course._id,
+  semester: course.semester,
+  academicYear: course.academicYear,
+  session
+});
+
+// Grades covered by a sheet: every grade of the offering for the normal
+// session, the students who sat the make-up for the make-up session
+const sheetGradesQuery = (sheet) => ({
+  course: sheet.course,
+  semester: sheet.semester,
+  academicYear: sheet.academicYear,
+  ...(sheet.session === 'makeup' && { 'makeup.eligible': true })
+});
+
+const getGradeSheet = (course, session = 'normal') => {
+  return GradeSheet.findOneAndUpdate(
+    sheetKey(course, session),
+    { $setOnInsert: { status: 'draft' } },
+    { new: true, upsert: true }
+  );
+};
+
+// Grades can only change while their sheet is a draft. Returns an error
+// message or null.
+const getSheetLock = async (course, session = 'normal') => {
+  const sheet = await GradeSheet.findOne(sheetKey(course, session));
+  if (!sheet || sheet.status === 'draft') return null;
+  return `The ${session} session grade sheet is ${sheet.status}, it must be returned to draft before grades can change`;
+};
+
+const setPublished = (sheet, value) => {
+  const prefix = sheet.session === 'makeup' ? 'makeup.' : '';
+  const update = { $set: { [`${prefix}isPublished`]: value } };
+  if (value) update.$min = { [`${prefix}firstPublishedAt`]: new Date() };
+
+  return Grade.updateMany(sheetGradesQuery(sheet), update);
+};
+
+const notifyPublishedGrades = async (sheet, course, io) => {
+  const grades = await Grade.find(sheetGradesQuery(sheet))
+    .populate('student', 'firstName lastName email');
+
+  for (const grade of grades) {
+    if (grade.finalGrade === undefined || grade.finalGrade === null) continue;
+
+    const notification = await notificationHelpers.newGrade(grade.student._id, course.name, grade.finalGrade);
+    if (io && notification) {
+      sendRealtimeNotification(io, grade.student._id, notification);
+    }
+    await sendGradeNotification(
+      grade.student.email,
+      `${grade.student.firstName} ${grade.student.lastName}`,
+      course.name,
+      grade.finalGrade
+    );
+  }
+  return grades.length;
+};
+
+// Moves a sheet through the workflow. Returns an error message when the
+// action is not allowed from the current status.
+const transitionSheet = async (sheet, action, { user, reason, course, io }) => {
+  const transition = SHEET_TRANSITIONS[action];
+
+  if (!transition.from.includes(sheet.status)) {
+    return `Cannot ${action} a ${sheet.status} grade sheet`;
+  }
+  if (transition.requiresReason && !reason) {
+    return `A reason is required to ${action} a grade sheet`;
+  }
+
+  const now = new Date();
+  const update = { status: transition.to };
+  if (action === 'submit') update.submittedAt = now;
+  if (action === 'approve') {
+    update.approvedBy = user.id;
+    update.approvedAt = now;
+  }
+  if (action === 'publish') update.publishedAt = now;
+
+  // Claimed on the status it was read with, so two concurrent requests
+  // cannot both move the sheet (e.g. publish it twice)
+  const claimed = await GradeSheet.findOneAndUpdate(
+    { _id: sheet._id, status: { $in: transition.from } },
+    {
+      $set: update,
+      $push: { history: { action, from: sheet.status, to: transition.to, by: user.id, reason, at: now } }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await GradeSheet.findById(sheet._id).select('status');
+    return `Cannot ${action} a ${current?.status || sheet.status} grade sheet`;
+  }
+  sheet.set(claimed.toObject());
+
+  if (action === 'publish') {
+    await setPublished(sheet, true);
+    await notifyPublishedGrades(sheet, course, io);
+  }
+  if (action === 'unpublish') {
+    await setPublished(sheet, false);
+  }
+  return null;
+};
+
+module.exports = {
+  SHEET_TRANSITIONS,
+  getGradeSheet,
+  getSheetLock,
+  transitionSheet
+};
@@ -0,0 +1,89 @@
+import User from '../models/User.js';
+import LoginHistory from '../models/LoginHistory.js';
+import { hashToken } from './tokenService.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+import { sendNewDeviceLoginEmail } from './emailService.js';
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const getClient = (req) => {
+  const userAgent = req.get('user-agent') || 'Unknown device';
+  return { ipAddress: req.ip, userAgent, deviceHash: hashToken(userAgent) };
+};
+
+const isLocked = (user) => Boolean(user.lockUntil && user.lockUntil > new Date());
+
+const recordLoginAttempt = async (req, { user, email, success, failureReason, isNewDevice = false }) => {
+  const { ipAddress, userAgent, deviceHash } = getClient(req);
+  return await LoginHistory.create({
+    user: user?._id,
+    email: user?.email || email,
+    success,
+    failureReason,
+    ipAddress,
+    userAgent,
+    deviceHash,
+    isNewDevice
+  });
+};
+
+// Every MAX_FAILED_ATTEMPTS consecutive failures lock the account, each lock
+// lasting twice as long as the previous one (15 min, 30 min, 1 h ... 24 h).
+const registerFailedLogin = async (user, req, failureReason) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('+failedLoginAttempts +lockCount');
+
+  let lockedUntil = null;
+  if (updated.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+    const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** updated.lockCount, MAX_LOCK_MINUTES);
+    lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await User.updateOne(
+      { _id: user._id },
+      { lockUntil: lockedUntil, failedLoginAttempts: 0, $inc: { lockCount: 1 } }
+    );
+  }
+
+  await recordLoginAttempt(req, { user, success: false, failureReason });
+
+  return lockedUntil;
+};
+
+// Resets the lockout counters, records the login and warns the user when
+// the device has never been used for a successful login before.
+const registerSuccessfulLogin = async (user, req) => {
+  const { ipAddress, userAgent, deviceHash } = getClient(req);
+
+  const hasLoggedInBefore = await LoginHistory.exists({ user: user._id, success: true });
+  const knownDevice = await LoginHistory.exists({ user: user._id, deviceHash, success: true });
+  const isNewDevice = Boolean(hasLoggedInBefore) && !knownDevice;
+
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } }
+  );
+
+  await recordLoginAttempt(req, { user, success: true, isNewDevice });
+
+  if (isNewDevice) {
+    const notification = await notificationHelpers.newDeviceLogin(user._id, userAgent, ipAddress);
+    const io = req.app.get('io');
+    if (notification && io) {
+      sendRealtimeNotification(io, user._id, notification);
+    }
+    await sendNewDeviceLoginEmail(user.email, user.firstName, userAgent, ipAddress, new Date());
+  }
+
+  return { isNewDevice };
+};
+
+module.exports = {
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  registerSuccessfulLogin
+};
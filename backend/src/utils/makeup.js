@@ -0,0 +1,134 @@
+import Grade from '../models/Grade.js';
+import { computeLevelResults } from './deliberation.js';
+import { notificationHelpers, sendRealtimeNotification } from './notificationService.js';
+import { snapshotGrade, checkChangeReason, saveGradeChange } from './gradeAudit.js';
+import { PASS_MARK, DEFAULT_MAKEUP_RULE } from '../config/lmd.js';
+
+const courseGradesQuery = (course) => ({
+  course: course._id,
+  semester: course.semester,
+  academicYear: course.academicYear
+});
+
+const isFailed = (finalGrade) => finalGrade !== undefined && finalGrade !== null && finalGrade < PASS_MARK;
+
+// Normal session result, frozen once the session is closed
+const normalGradeOf = (grade) => (grade.normalSession?.closedAt ? grade.normalSession.finalGrade : grade.finalGrade);
+
+// A failed module needs the make-up session unless its credits were already
+// acquired by compensation within its unit, semester or year. result is the
+// level result of the student.
+const needsMakeup = (normalGrade, course, result) => {
+  if (!isFailed(normalGrade)) return false;
+
+  const module = result?.semesters
+    .flatMap(s => s.units)
+    .flatMap(u => u.modules)
+    .find(m => m.code === course.code);
+
+  return !module || module.acquiredCredits < module.credits;
+};
+
+// Closes the normal session of a course: freezes each normal result, flags
+// the students who must sit the make-up exam and notifies them. Safe to run
+// again, make-up scores already entered are kept.
+const openMakeupSession = async (course, io = null, audit = null) => {
+  const grades = await Grade.find(courseGradesQuery(course));
+  const rule = course.makeupRule || DEFAULT_MAKEUP_RULE;
+  const eligible = [];
+
+  // Compensation is only looked up for the students who failed, in one batch
+  const failing = grades.filter(grade => isFailed(normalGradeOf(grade))).map(grade => grade.student);
+  const results = failing.length > 0
+    ? await computeLevelResults(failing, course.level, course.academicYear)
+    : new Map();
+
+  for (const grade of grades) {
+    const before = snapshotGrade(grade);
+    if (!grade.normalSession?.closedAt) {
+      grade.normalSession = {
+        finalGrade: grade.finalGrade,
+        status: grade.status,
+        closedAt: new Date()
+      };
+    }
+
+    // Students who already sat the make-up keep their result
+    const wasEligible = grade.makeup?.eligible;
+    const hasScore = grade.makeup?.score !== undefined && grade.makeup?.score !== null;
+    grade.makeup.eligible = (wasEligible && hasScore) ||
+      needsMakeup(grade.normalSession.finalGrade, course, results.get(grade.student.toString()));
+    grade.makeup.rule = grade.makeup.rule || rule;
+    if (audit) {
+      await saveGradeChange(grade, before, audit);
+    } else {
+      await grade.save();
+    }
+
+    if (grade.makeup.eligible) {
+      eligible.push(grade);
+      if (!wasEligible) {
+        const notification = await notificationHelpers.makeupEligible(grade.student, course, grade.normalSession.finalGrade);
+        if (io && notification) {
+          sendRealtimeNotification(io, grade.student, notification);
+        }
+      }
+    }
+  }
+
+  return { graded: grades.length, eligible };
+};
+
+// Eligible students of a course with both session results
+const listMakeupStudents = (course) => {
+  return Grade.find({ ...courseGradesQuery(course), 'makeup.eligible': true })
+    .populate('student', 'firstName lastName studentId email')
+    .select('student finalGrade status session normalSession makeup')
+    .sort({ 'normalSession.finalGrade': 1 });
+};
+
+// Tells eligible students the date of the make-up exam
+const notifyMakeupExam = async (course, exam, io = null) => {
+  const grades = await Grade.find({ ...courseGradesQuery(course), 'makeup.eligible': true }).select('student');
+
+  for (const grade of grades) {
+    const notification = await notificationHelpers.makeupEligible(grade.student, course, null, exam);
+    if (io && notification) {
+      sendRealtimeNotification(io, grade.student, notification);
+      io.to(`student_${grade.student}`).emit('new_exam', exam);
+    }
+  }
+  return grades.length;
+};
+
+// Records a make-up score and its audit entry. Returns an error message when
+// the score is invalid, the student did not qualify for the make-up session
+// or a reason is missing.
+const recordMakeupScore = async (grade, { score, exam }, audit) => {
+  const value = score === null || score === '' ? NaN : Number(score);
+  if (Number.isNaN(value) || value < 0 || value > 20) {
+    return 'Make-up score must be between 0 and 20';
+  }
+  if (!grade.makeup?.eligible) {
+    return 'Student is not eligible for the make-up session';
+  }
+
+  const reasonError = checkChangeReason(grade, audit.reason, 'makeup');
+  if (reasonError) return reasonError;
+
+  const before = snapshotGrade(grade);
+  grade.makeup.score = value;
+  if (exam) grade.makeup.exam = exam;
+  grade.makeup.enteredBy = audit.actor;
+  grade.makeup.enteredAt = new Date();
+  await saveGradeChange(grade, before, audit);
+  return null;
+};
+
+module.exports = {
+  courseGradesQuery,
+  openMakeupSession,
+  listMakeupStudents,
+  notifyMakeupExam,
+  recordMakeupScore
+};
@@ -0,0 +1,43 @@
+// USTHB matricules start with the year of first registration followed by a
+// sequence number, e.g. 201901234. A student cannot be in a level earlier
+// than their first-year registration allows (L3 needs at least two years).
+const MATRICULE_PATTERN = /^(\d{4})(\d{5,8})$/;
+
+const MIN_YEARS_BY_LEVEL = {
+  L1: 0,
+  L2: 1,
+  L3: 2,
+  M1: 3,
+  M2: 4
+};
+
+// The academic year starts in September
+const currentAcademicStartYear = (date = new Date()) => {
+  return date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1;
+};
+
+const validateMatricule = (studentId, level) => {
+  const match = MATRICULE_PATTERN.exec(studentId || '');
+  if (!match) {
+    return { valid: false, error: 'Student ID must be a USTHB matricule (registration year followed by 5 to 8 digits)' };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(MIN_YEARS_BY_LEVEL, level)) {
+    return { valid: false, error: 'A valid level is required for students' };
+  }
+
+  const registrationYear = Number(match[1]);
+  const latestAllowed = currentAcademicStartYear() - MIN_YEARS_BY_LEVEL[level];
+
+  if (registrationYear < 2000 || registrationYear > latestAllowed) {
+    return { valid: false, error: `Matricule registration year ${registrationYear} is not valid for level ${level}` };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  MATRICULE_PATTERN,
+  currentAcademicStartYear,
+  validateMatricule
+};
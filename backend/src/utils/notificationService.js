@@ -55,6 +55,136 @@ const notificationHelpers = {
       link: '/exams',
       data: { courseName, examDate, room }
     });
+  },
+
+  waitlistOffer: async (studentId, course, expiresAt) => {
+    return await createNotification({
+      recipient: studentId,
+      type: 'course_update',
+      title: 'A Seat Is Available',
+      message: `A seat opened in ${course.name}. Confirm your enrollment before ${expiresAt.toUTCString()}`,
+      priority: 'high',
+      link: `/courses/${course._id}`,
+      data: { courseId: course._id, expiresAt }
+    });
+  },
+
+  makeupEligible: async (studentId, course, grade, exam = null) => {
+    return await createNotification({
+      recipient: studentId,
+      type: 'makeup_session',
+      title: 'Make-up Session',
+      message: exam
+        ? `Make-up exam for ${course.name} on ${exam.date.toDateString()} in ${exam.room}`
+        : `You are eligible for the make-up session of ${course.name} (normal session: ${grade}/20)`,
+      priority: 'high',
+      link: '/grades',
+      data: { courseId: course._id, grade, examId: exam?._id }
+    });
+  },
+
+  attendanceSessionChanged: async (studentId, course, session, change) => {
+    const when = `${session.type} of ${course.name}`;
+    const messages = {
+      cancelled: `The ${when} on ${session.date.toDateString()} is cancelled` +
+        (session.cancellation?.reason ? `: ${session.cancellation.reason}` : ''),
+      rescheduled: `The ${when} is moved to ${session.date.toDateString()}` +
+        (session.startTime ? ` at ${session.startTime}` : '') +
+        (session.room ? ` in ${session.room}` : '')
+    };
+
+    return await createNotification({
+      recipient: studentId,
+      type: 'course_update',
+      title: change === 'cancelled' ? 'Session Cancelled' : 'Session Rescheduled',
+      message: messages[change],
+      priority: 'high',
+      link: '/timetable',
+      data: { courseId: course._id, sessionId: session._id, change }
+    });
+  },
+
+  absenceJustificationSubmitted: async (recipientId, course, justification) => {
+    return await createNotification({
+      recipient: recipientId,
+      type: 'absence_justification',
+      title: 'Absence Justification',
+      message: `A student justified ${justification.absences.length} absence(s) in ${course.name}`,
+      priority: 'normal',
+      link: `/justifications/${justification._id}`,
+      data: { courseId: course._id, justificationId: justification._id }
+    });
+  },
+
+  absenceJustificationReviewed: async (studentId, justification) => {
+    return await createNotification({
+      recipient: studentId,
+      type: 'absence_justification',
+      title: 'Absence Justification Update',
+      message: justification.status === 'approved'
+        ? `Your justification was approved, ${justification.absences.length} absence(s) are now excused`
+        : `Your justification was rejected` + (justification.review.comment ? `: ${justification.review.comment}` : ''),
+      priority: 'high',
+      link: `/justifications/${justification._id}`,
+      data: { justificationId: justification._id, status: justification.status }
+    });
+  },
+
+  absenceWarning: async (studentId, course, standing) => {
+    return await createNotification({
+      recipient: studentId,
+      type: 'absence_warning',
+      title: standing.stage === 'excluded' ? 'Excluded for Absences' : 'Absence Warning',
+      message: standing.stage === 'excluded'
+        ? `You are excluded from the ${standing.sessionType} sessions of ${course.name} after ${standing.total} absence(s), ${standing.unjustified} unjustified`
+        : `You have ${standing.total} absence(s) in the ${standing.sessionType} sessions of ${course.name}, ${standing.unjustified} unjustified. One more may exclude you`,
+      priority: standing.stage === 'excluded' ? 'urgent' : 'high',
+      link: '/attendance',
+      data: { courseId: course._id, sessionType: standing.sessionType, stage: standing.stage }
+    });
+  },
+
+  gradeAppealOpened: async (professorId, course, appeal) => {
+    return await createNotification({
+      recipient: professorId,
+      type: 'grade_appeal',
+      title: 'New Grade Appeal',
+      message: `A student contested a ${appeal.assessmentType} grade in ${course.name}`,
+      priority: 'high',
+      link: `/appeals/${appeal._id}`,
+      data: { courseId: course._id, appealId: appeal._id }
+    });
+  },
+
+  gradeAppealUpdated: async (studentId, course, appeal) => {
+    const messages = {
+      consultation: `Copy consultation for ${course.name} on ${appeal.consultation.date?.toUTCString()}` +
+        (appeal.consultation.location ? ` in ${appeal.consultation.location}` : ''),
+      accepted: `Your appeal in ${course.name} was accepted, new score: ${appeal.resolution.newScore}/${appeal.resolution.maxScore || 20}`,
+      rejected: `Your appeal in ${course.name} was rejected`
+    };
+
+    return await createNotification({
+      recipient: studentId,
+      type: 'grade_appeal',
+      title: 'Grade Appeal Update',
+      message: messages[appeal.status],
+      priority: 'high',
+      link: `/appeals/${appeal._id}`,
+      data: { courseId: course._id, appealId: appeal._id, status: appeal.status }
+    });
+  },
+
+  newDeviceLogin: async (userId, device, ipAddress) => {
+    return await createNotification({
+      recipient: userId,
+      type: 'security_alert',
+      title: 'New Device Sign-in',
+      message: `New sign-in from ${device} (${ipAddress})`,
+      priority: 'high',
+      link: '/settings/sessions',
+      data: { device, ipAddress }
+    });
   }
 };
 
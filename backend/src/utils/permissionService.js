@@ -0,0 +1,113 @@
+import RoleAssignment from '../models/RoleAssignment.js';
+import { ROLE_PERMISSIONS, SCOPED_ROLES } from '../config/permissions.js';
+import { isCourseStaff } from './courseStaff.js';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Ownership rules referenced by ROLE_PERMISSIONS. Each receives the user id
+// and the permission context built by the resource loaders.
+const OWNERSHIP_RULES = {
+  course_professor: (userId, { course }) => Boolean(course) && idOf(course.professor) === userId,
+
+  // Responsible professor or any lecturer / TD / TP staff member
+  course_staff: (userId, { course }) => Boolean(course) && isCourseStaff(course, userId),
+
+  author: (userId, { announcement }) => Boolean(announcement) && idOf(announcement.author) === userId,
+
+  club_president: (userId, { club }) => Boolean(club) && idOf(club.president) === userId,
+
+  club_officer: (userId, { club }) => Boolean(club) && club.members.some(
+    m => idOf(m.user) === userId && ['President', 'VicePresident', 'Officer'].includes(m.role)
+  )
+};
+
+// Flattens a context into the attributes scopes are matched against
+const scopeAttributes = (context) => {
+  const { course, announcement, club } = context;
+
+  if (course) {
+    return { course: idOf(course), department: course.department, faculty: course.faculty };
+  }
+  if (announcement) {
+    return {
+      department: announcement.targetDetails?.department,
+      faculty: announcement.targetDetails?.faculty
+    };
+  }
+  if (club) {
+    return { club: idOf(club) };
+  }
+  return {};
+};
+
+const scopeMatches = (scope, context) => {
+  if (scope.type === 'global') return true;
+
+  const attributes = scopeAttributes(context);
+  switch (scope.type) {
+    case 'course':
+      return attributes.course === idOf(scope.course);
+    case 'club':
+      return attributes.club === idOf(scope.club);
+    case 'department':
+      return Boolean(attributes.department) && attributes.department === scope.department &&
+        (!scope.faculty || attributes.faculty === scope.faculty);
+    case 'faculty':
+      return Boolean(attributes.faculty) && attributes.faculty === scope.faculty;
+    default:
+      return false;
+  }
+};
+
+// Active scoped role assignments of the current user, cached on the request
+const getRoleAssignments = async (req) => {
+  if (!req.roleAssignments) {
+    const assignments = await RoleAssignment.find({ user: req.user.id });
+    req.roleAssignments = assignments.filter(a => a.isActive());
+  }
+  return req.roleAssignments;
+};
+
+// Without a context this answers "can the user do this anywhere?", and the
+// route is responsible for filtering the data it returns.
+const hasPermission = async (req, permission, context = null) => {
+  const { user } = req;
+  const basePermissions = ROLE_PERMISSIONS[user.role];
+
+  if (basePermissions === '*') return true;
+
+  const rule = basePermissions?.[permission];
+  if (rule === 'any') return true;
+  if (rule && (!context || OWNERSHIP_RULES[rule]?.(user.id, context))) return true;
+
+  const assignments = await getRoleAssignments(req);
+  return assignments.some(assignment =>
+    SCOPED_ROLES[assignment.role]?.permissions.includes(permission) &&
+    (!context || scopeMatches(assignment.scope, context))
+  );
+};
+
+// Effective permissions of the user, for clients to adapt their UI
+const describePermissions = async (req) => {
+  const basePermissions = ROLE_PERMISSIONS[req.user.role];
+  const assignments = await getRoleAssignments(req);
+
+  return {
+    role: req.user.role,
+    permissions: basePermissions === '*' ? '*' : basePermissions || {},
+    assignments: assignments.map(a => ({
+      id: a._id,
+      role: a.role,
+      scope: a.scope,
+      expiresAt: a.expiresAt,
+      permissions: SCOPED_ROLES[a.role]?.permissions || []
+    }))
+  };
+};
+
+module.exports = {
+  OWNERSHIP_RULES,
+  hasPermission,
+  getRoleAssignments,
+  describePermissions
+};
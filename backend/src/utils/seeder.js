@@ -23,6 +23,7 @@ const seedData = async () => {
       studentId: 'ADM001',
       email: 'admin@usthb.dz',
       password: 'admin123',
+      isEmailVerified: true,
       firstName: 'System',
       lastName: 'Administrator',
       role: 'admin',
@@ -35,6 +36,7 @@ const seedData = async () => {
         studentId: 'PROF001',
         email: 'prof1@usthb.dz',
         password: 'professor123',
+        isEmailVerified: true,
         firstName: 'Ahmed',
         lastName: 'Benali',
         role: 'professor',
@@ -45,6 +47,7 @@ const seedData = async () => {
         studentId: 'PROF002',
         email: 'prof2@usthb.dz',
         password: 'professor123',
+        isEmailVerified: true,
         firstName: 'Fatima',
         lastName: 'Zahra',
         role: 'professor',
@@ -58,6 +61,7 @@ const seedData = async () => {
         studentId: '201901234',
         email: 'student1@usthb.dz',
         password: 'student123',
+        isEmailVerified: true,
         firstName: 'Karim',
         lastName: 'Mansouri',
         role: 'student',
@@ -69,6 +73,7 @@ const seedData = async () => {
         studentId: '201901235',
         email: 'student2@usthb.dz',
         password: 'student123',
+        isEmailVerified: true,
         firstName: 'Amina',
         lastName: 'Saidi',
         role: 'student',
@@ -0,0 +1,83 @@
+// CSV and XLSX import/export with the same { columns, rows } shape as
+// utils/csvParser, so routes do not care which format was uploaded.
+import ExcelJS from 'exceljs';
+import { parseCsv, toCsv } from './csvParser.js';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const isXlsx = (file) => {
+  return file.mimetype === XLSX_MIME_TYPE || /\.xlsx$/i.test(file.originalname || '');
+};
+
+// Formula, hyperlink and rich text cells are read as their displayed value
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return String(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  }
+  return String(value);
+};
+
+// First worksheet only; the first row holds the column names
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return { columns: [], rows: [] };
+
+  const columns = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, index) => {
+    columns[index - 1] = cellText(cell.value).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cellText(row.getCell(index + 1).value).trim();
+    });
+    if (Object.values(record).some(value => value !== '')) rows.push(record);
+  });
+
+  return { columns, rows };
+};
+
+const parseSpreadsheet = async (file) => {
+  return isXlsx(file) ? parseXlsx(file.buffer) : parseCsv(file.buffer);
+};
+
+const toXlsx = async (columns, rows, sheetName = 'Sheet1') => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+  worksheet.getRow(1).font = { bold: true };
+  rows.forEach(row => worksheet.addRow(row));
+
+  return workbook.xlsx.writeBuffer();
+};
+
+// Sends rows as a CSV or XLSX download
+const sendSpreadsheet = async (res, format, filename, columns, rows) => {
+  if (format === 'xlsx') {
+    const buffer = await toXlsx(columns, rows);
+    res.attachment(`${filename}.xlsx`);
+    return res.send(Buffer.from(buffer));
+  }
+
+  res.attachment(`${filename}.csv`);
+  return res.send(toCsv(columns, rows));
+};
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  parseSpreadsheet,
+  toXlsx,
+  sendSpreadsheet
+};
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+const REFRESH_TOKEN_DAYS = Number(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+const LAST_SEEN_INTERVAL = 5 * 60 * 1000;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself.
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || 'Unknown device',
+  ipAddress: req.ip
+});
+
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(session._id);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return {
+    session,
+    accessToken: generateAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+const revokeSession = async (sessionId, reason, io) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  if (io) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+
+  return session;
+};
+
+const revokeUserSessions = async (userId, reason, io, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(query).select('_id');
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (io) {
+    sessions.forEach(s => io.in(`session_${s._id}`).disconnectSockets(true));
+  }
+
+  return sessions.length;
+};
+
+// Rotates the refresh token of a session. Presenting an already rotated
+// token means it leaked, so the whole session is revoked. The hash is
+// swapped in a single conditional update: of two concurrent refreshes with
+// the same token only one matches, the other is treated as reuse.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const rotated = buildRefreshToken(sessionId);
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(secret),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: rotated.refreshTokenHash,
+      userAgent,
+      ipAddress,
+      lastSeenAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId);
+    if (!existing || !existing.isActive()) {
+      return { error: 'Session expired or revoked' };
+    }
+
+    await revokeSession(existing._id, 'token_reuse', req.app.get('io'));
+    return { error: 'Refresh token reuse detected, session revoked' };
+  }
+
+  return {
+    session,
+    accessToken: generateAccessToken(session.user, session._id),
+    refreshToken: rotated.refreshToken
+  };
+};
+
+// Verifies an access token and checks that its session is still active.
+// Shared by the HTTP middleware and the socket handshake.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+    session.lastSeenAt = new Date();
+    await session.save();
+  }
+
+  return { userId: decoded.id, session };
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken
+};
@@ -0,0 +1,41 @@
+// Multi-document transactions. They need MongoDB to run as a replica set or
+// sharded cluster; a single node replica set is enough in development:
+//   mongod --replSet rs0, then rs.initiate() in mongosh
+// On a standalone server the API still runs, but the operations that need
+// a transaction (enrollment, grade changes and their audit entries) answer
+// 503 instead of writing half of their changes.
+import mongoose from 'mongoose';
+import { ErrorResponse } from '../middleware/errorHandler.js';
+
+// Set at startup by checkTransactionSupport
+let transactionsSupported = true;
+
+const checkTransactionSupport = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  return transactionsSupported;
+};
+
+// Runs work(session) in a transaction, retried by the driver on transient
+// errors, and returns its result
+const inTransaction = async (work) => {
+  if (!transactionsSupported) {
+    throw new ErrorResponse('This operation is unavailable: MongoDB must run as a replica set to support transactions', 503);
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+  return result;
+};
+
+module.exports = {
+  checkTransactionSupport,
+  inTransaction
+};
@@ -0,0 +1,268 @@
+// Official transcripts (relevés de notes). Each download issues a Transcript
+// with its own verification code; the PDF carries the code and a QR code
+// pointing to the public verification page.
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import Transcript from '../models/Transcript.js';
+import { deliberate } from './deliberation.js';
+import { DECISIONS, TEACHING_UNIT_TYPES } from '../config/lmd.js';
+
+const UNIVERSITY_NAME = process.env.UNIVERSITY_NAME ||
+  'Université des Sciences et de la Technologie Houari Boumediene';
+
+const signingSecret = () => process.env.TRANSCRIPT_SECRET || process.env.JWT_SECRET;
+
+const verificationUrl = (code) => `${process.env.CLIENT_URL || 'http://localhost:8081'}/verify/${code}`;
+
+// e.g. RN-3F9A-C21B-7E04
+const generateCode = () => {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `RN-${hex.match(/.{4}/g).join('-')}`;
+};
+
+const hashContent = (result) => crypto.createHash('sha256').update(JSON.stringify(result)).digest('hex');
+
+// Fields are listed explicitly so the signed string does not depend on how
+// the document is stored
+const signedPayload = (transcript, contentHash) => JSON.stringify([
+  transcript.code,
+  transcript.student.toString(),
+  transcript.academicYear,
+  transcript.level,
+  transcript.semester || null,
+  transcript.summary.studentId,
+  transcript.summary.average,
+  transcript.summary.acquiredCredits,
+  transcript.summary.decision,
+  contentHash
+]);
+
+const sign = (payload) => crypto.createHmac('sha256', signingSecret()).update(payload).digest('hex');
+
+// Published results of a student, for the whole year or one semester
+const buildTranscriptResult = async (student, { academicYear, level, semester }) => {
+  const result = await deliberate(student, academicYear, level, { publishedOnly: true });
+  if (!semester) return result;
+
+  const selected = result.semesters.find(s => s.semester === semester);
+  return {
+    ...result,
+    semesters: selected ? [selected] : [],
+    average: selected?.average ?? null,
+    credits: selected?.credits || 0,
+    acquiredCredits: selected?.acquiredCredits || 0
+  };
+};
+
+// Returns an error message, or the issued transcript and the results it
+// was built from
+const issueTranscript = async (student, { academicYear, level, semester }, issuedBy) => {
+  const result = await buildTranscriptResult(student, { academicYear, level, semester });
+  if (result.semesters.length === 0) {
+    return { error: 'No published grades for this period' };
+  }
+  // A year transcript carries the progression decision, which is only
+  // final once every module of the year is graded and published
+  if (!semester && !result.complete) {
+    return { error: 'The results of this year are not complete yet, only semester transcripts can be issued' };
+  }
+
+  const transcript = new Transcript({
+    code: generateCode(),
+    student: student._id,
+    academicYear,
+    level,
+    semester,
+    summary: {
+      studentName: `${student.lastName} ${student.firstName}`,
+      studentId: student.studentId,
+      faculty: student.faculty,
+      department: student.department,
+      average: result.average,
+      credits: result.credits,
+      acquiredCredits: result.acquiredCredits,
+      decision: semester ? null : result.decision
+    },
+    contentHash: hashContent(result.semesters),
+    issuedBy
+  });
+  transcript.signature = sign(signedPayload(transcript, transcript.contentHash));
+  await transcript.save();
+
+  return { transcript, result };
+};
+
+// Checks a verification code. Returns null for unknown codes.
+const verifyTranscript = async (code) => {
+  const transcript = await Transcript.findOne({ code: code.toUpperCase() });
+  if (!transcript) return null;
+
+  const expected = Buffer.from(sign(signedPayload(transcript, transcript.contentHash)));
+  const actual = Buffer.from(transcript.signature);
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+  return { valid, transcript };
+};
+
+const formatMark = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+const SESSION_LABELS = { normal: 'Normale', makeup: 'Rattrapage' };
+
+// Table columns: [header, x offset, width, alignment]
+const COLUMNS = [
+  ['Unité / Module', 0, 215, 'left'],
+  ['Coef.', 215, 40, 'center'],
+  ['Crédits', 255, 45, 'center'],
+  ['Moyenne', 300, 55, 'center'],
+  ['Session', 355, 70, 'center'],
+  ['Crédits acquis', 425, 70, 'center']
+];
+
+const renderTranscriptPdf = async (transcript, result) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+
+  const left = doc.page.margins.left;
+  const bottomLimit = () => doc.page.height - doc.page.margins.bottom - 40;
+
+  const HEADER_ROW = [COLUMNS.map(([header]) => header), { bold: true, fill: '#d9d9d9', header: true }];
+
+  // Table rows are a single line; the header is repeated after a page break
+  const row = (values, { bold = false, fill = null, header = false } = {}) => {
+    if (doc.y > bottomLimit()) {
+      doc.addPage();
+      if (!header) row(...HEADER_ROW);
+    }
+    const y = doc.y;
+    if (fill) {
+      doc.rect(left, y - 2, 495, 16).fill(fill).fillColor('black');
+    }
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+    COLUMNS.forEach(([, offset, width, align], index) => {
+      doc.text(values[index] ?? '', left + offset + 3, y, { width: width - 6, height: 11, align, ellipsis: true });
+    });
+    doc.y = y + 16;
+  };
+
+  // Header
+  const qr = await QRCode.toBuffer(verificationUrl(transcript.code), { margin: 1, width: 160 });
+  doc.image(qr, doc.page.width - doc.page.margins.right - 80, 40, { width: 80 });
+
+  doc.font('Helvetica-Bold').fontSize(10).text('République Algérienne Démocratique et Populaire', left, 50, { width: 400 });
+  doc.font('Helvetica').fontSize(9).text('Ministère de l\'Enseignement Supérieur et de la Recherche Scientifique', { width: 400 });
+  doc.font('Helvetica-Bold').fontSize(10).text(UNIVERSITY_NAME, { width: 400 });
+  if (transcript.summary.faculty) {
+    doc.font('Helvetica').fontSize(9).text(`Faculté : ${transcript.summary.faculty}`, { width: 400 });
+  }
+
+  doc.moveDown(1.5);
+  doc.font('Helvetica-Bold').fontSize(16).text('RELEVÉ DE NOTES', left, doc.y, { width: 495, align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(
+    `Année universitaire ${transcript.academicYear} - ${transcript.level}` +
+      (transcript.semester ? ` - Semestre ${transcript.semester}` : ''),
+    { width: 495, align: 'center' }
+  );
+
+  doc.moveDown();
+  doc.fontSize(9.5);
+  [
+    ['Nom et prénom', transcript.summary.studentName],
+    ['Matricule', transcript.summary.studentId],
+    ['Département', transcript.summary.department],
+    ['Date d\'édition', transcript.issuedAt.toLocaleDateString('fr-DZ')]
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label} : `, left, doc.y, { continued: true })
+      .font('Helvetica').text(value || '-');
+  });
+
+  // One table per semester
+  result.semesters.forEach(semester => {
+    doc.moveDown();
+    if (doc.y > bottomLimit() - 60) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(11).text(`Semestre ${semester.semester}`, left, doc.y);
+    doc.moveDown(0.3);
+
+    row(...HEADER_ROW);
+    semester.units.forEach(unit => {
+      row([
+        unit.type ? `${unit.code} (${unit.type})` : unit.code,
+        unit.coefficient,
+        unit.credits,
+        formatMark(unit.average),
+        '',
+        unit.acquiredCredits
+      ], { bold: true, fill: '#f2f2f2' });
+
+      unit.modules.forEach(module => {
+        row([
+          `   ${module.code} - ${module.name}`,
+          module.coefficient,
+          module.credits,
+          formatMark(module.average),
+          SESSION_LABELS[module.session] || '-',
+          module.acquiredCredits
+        ]);
+      });
+    });
+    row(['Moyenne du semestre', semester.coefficient, semester.credits, formatMark(semester.average), '', semester.acquiredCredits], { bold: true });
+  });
+
+  // Results
+  doc.moveDown();
+  if (doc.y > bottomLimit() - 80) doc.addPage();
+  doc.fontSize(10);
+  const results = transcript.semester
+    ? [
+      ['Moyenne du semestre', formatMark(transcript.summary.average)],
+      ['Crédits acquis', `${transcript.summary.acquiredCredits} / ${transcript.summary.credits}`]
+    ]
+    : [
+      ['Moyenne annuelle', formatMark(transcript.summary.average)],
+      ['Crédits acquis', `${transcript.summary.acquiredCredits} / ${transcript.summary.credits}`],
+      ['Décision', DECISIONS[transcript.summary.decision] || '-']
+    ];
+  results.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label} : `, left, doc.y, { continued: true })
+      .font('Helvetica').text(value);
+  });
+
+  const unitTypes = [...new Set(result.semesters.flatMap(s => s.units).map(u => u.type).filter(Boolean))];
+  if (unitTypes.length > 0) {
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(7.5).fillColor('#555555')
+      .text(unitTypes.map(type => `${type} : ${TEACHING_UNIT_TYPES[type]}`).join('   '), left, doc.y, { width: 495 })
+      .fillColor('black');
+  }
+
+  // Verification footer and page numbers on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const y = doc.page.height - 45;
+    doc.font('Helvetica').fontSize(7).fillColor('#555555');
+    doc.text(
+      `Code de vérification : ${transcript.code} - ${verificationUrl(transcript.code)}`,
+      left, y, { width: 400, lineBreak: false }
+    );
+    doc.text(`Signature : ${transcript.signature.slice(0, 32)}`, left, y + 10, { width: 400, lineBreak: false });
+    doc.text(`Page ${i - range.start + 1} / ${range.count}`, left + 400, y, { width: 95, align: 'right', lineBreak: false });
+    doc.fillColor('black');
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  issueTranscript,
+  verifyTranscript,
+  renderTranscriptPdf
+};
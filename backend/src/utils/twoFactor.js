@@ -0,0 +1,56 @@
+import jwt from 'jsonwebtoken';
+import { verifyCode } from './totp.js';
+import { hashToken } from './tokenService.js';
+
+// Roles that must enrol a second factor (comma separated, e.g. "professor,admin")
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'professor,admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const isTwoFactorRequired = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+
+// Short-lived token proving the password step of a login succeeded
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Checks a TOTP code or a backup code against a user loaded with
+// +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep.
+// Mutates the user (replay step / consumed backup code); the caller saves.
+const verifySecondFactor = (user, { code, backupCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return null;
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (backupCode) {
+    const hash = hashToken(backupCode.trim().toLowerCase());
+    const index = (user.twoFactor.backupCodes || []).indexOf(hash);
+    if (index === -1) return null;
+    user.twoFactor.backupCodes.splice(index, 1);
+    return 'backup_code';
+  }
+
+  return null;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor
+};